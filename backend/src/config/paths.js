@@ -0,0 +1,47 @@
+/**
+ * Default file locations shared by the data pipeline, scripts and routes
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const repoRoot = path.join(__dirname, '../../..');
+const dataDir = path.join(__dirname, '../data');
+
+// Raw scrape output (gitignored, large)
+export const RAW_TEAM_PATH = path.join(repoRoot, 'teamJSON.txt');
+
+// Geocoding report consumed by processTeamData (gitignored, generated)
+export const GEOCODE_RESULTS_PATH = path.join(repoRoot, 'geocode_results.json');
+
+// Data served by the API
+export const TEAM_DATA_PATH = path.join(dataDir, 'team.json');
+export const APPLICANT_DATA_PATH = path.join(dataDir, 'applicant.json');
+
+// Persistent geocode cache shared across pipeline runs
+export const GEOCODE_CACHE_PATH = path.join(dataDir, 'geocode-cache.json');
+
+// Offline city gazetteer used by the gazetteer geocoding provider
+export const GAZETTEER_PATH = path.join(dataDir, 'gazetteer/cities15000.csv');
+
+// Hand-resolved locations applied by processTeamData (see npm run review)
+export const LOCATION_OVERRIDES_PATH = path.join(dataDir, 'location-overrides.json');
+
+// ISO 3166-1 country table (names, continents, centroids)
+export const COUNTRIES_PATH = path.join(dataDir, 'countries.json');
+
+// Simplified country outlines bundled with the frontend (see
+// src/utils/buildWorldGeoJson.js)
+export const WORLD_GEOJSON_PATH = path.join(repoRoot, 'frontend/src/assets/world-countries.json');
+
+// Downloaded avatars and their variants (gitignored, see npm run avatars)
+export const AVATARS_DIR = path.join(dataDir, 'avatars');
+
+// Analytics requests waiting for the upstream to come back (gitignored)
+export const INGEST_BUFFER_DIR = path.join(repoRoot, 'ingest-buffer');
+
+// Hire / Don't Hire votes (gitignored, appended at runtime)
+export const VOTES_PATH = path.join(dataDir, 'votes.jsonl');
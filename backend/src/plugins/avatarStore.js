@@ -0,0 +1,23 @@
+/**
+ * Avatar Store Plugin
+ *
+ * Decorates the Fastify instance with the downloaded avatar store (see
+ * services/avatars.js):
+ *
+ *   fastify.avatarStore.find(id, { size, shape })  → { filePath, hash } | null
+ *
+ * Set AVATARS_DIR to serve avatars from somewhere other than src/data/avatars.
+ */
+
+import fp from 'fastify-plugin';
+import { createAvatarStore } from '../services/avatars.js';
+import { AVATARS_DIR } from '../config/paths.js';
+
+async function avatarStore(fastify, options) {
+  fastify.decorate('avatarStore', createAvatarStore({
+    dir: options.dir || process.env.AVATARS_DIR || AVATARS_DIR,
+    logger: fastify.log
+  }));
+}
+
+export default fp(avatarStore, { name: 'avatar-store' });
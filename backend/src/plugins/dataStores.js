@@ -0,0 +1,49 @@
+/**
+ * Data Stores Plugin
+ *
+ * Decorates the Fastify instance with hot-reloading stores for the data
+ * files (see services/dataStore.js):
+ *
+ *   fastify.teamStore.get()       → { data, indexes: { spatial, clusters }, etag, ... }
+ *   fastify.applicantStore.get()
+ *
+ * Set DATA_WATCH=false to load the files once and never reload them.
+ */
+
+import fp from 'fastify-plugin';
+import { createDataStore } from '../services/dataStore.js';
+import { createSpatialIndex } from '../services/spatialIndex.js';
+import { createClusterIndex } from '../services/clusterIndex.js';
+import { TEAM_DATA_PATH, APPLICANT_DATA_PATH } from '../config/paths.js';
+
+async function dataStores(fastify, options) {
+  const watch = options.watch ?? process.env.DATA_WATCH !== 'false';
+
+  const teamStore = createDataStore({
+    kind: 'team',
+    filePath: options.teamPath || TEAM_DATA_PATH,
+    indexes: {
+      spatial: data => createSpatialIndex(data.team),
+      clusters: data => createClusterIndex(data.team)
+    },
+    watch,
+    logger: fastify.log
+  });
+
+  const applicantStore = createDataStore({
+    kind: 'applicant',
+    filePath: options.applicantPath || APPLICANT_DATA_PATH,
+    watch,
+    logger: fastify.log
+  });
+
+  fastify.decorate('teamStore', teamStore);
+  fastify.decorate('applicantStore', applicantStore);
+
+  fastify.addHook('onClose', async () => {
+    teamStore.close();
+    applicantStore.close();
+  });
+}
+
+export default fp(dataStores, { name: 'data-stores' });
@@ -0,0 +1,148 @@
+/**
+ * Analytics Ingest Proxy Plugin
+ *
+ * Serves /api/ingest/* so the frontend can send analytics to our own
+ * origin (ad blockers routinely block the analytics host itself) and
+ * forwards each request to the upstream:
+ *
+ *   POST /api/ingest/e/?compression=gzip-js  →  ${INGEST_UPSTREAM}/e/
+ *
+ * On the way through:
+ *   - client IP headers are never forwarded, and `$ip` is removed from
+ *     every event (INGEST_IP_MODE=hash keeps a salted hash as `$ip_hash`)
+ *   - bodies over INGEST_BODY_LIMIT bytes are refused with a 413
+ *   - each client may send INGEST_RATE_LIMIT_MAX requests per
+ *     INGEST_RATE_LIMIT_WINDOW, so nobody can fill the buffer on their own
+ *   - capture requests the upstream can't take are buffered to disk and
+ *     replayed every INGEST_FLUSH_INTERVAL_MS, oldest first
+ *
+ * Register with a prefix, after @fastify/rate-limit:
+ * fastify.register(ingestProxy, { prefix: '/api/ingest' }).
+ * Every option falls back to its environment variable (see .env.example).
+ */
+
+import { createIngestBuffer } from '../services/ingestBuffer.js';
+import { decodePayload, scrubIps, IP_MODES } from '../services/ingestPayload.js';
+import { INGEST_BUFFER_DIR } from '../config/paths.js';
+
+// Endpoints that carry events - only these are scrubbed and buffered
+const CAPTURE_PATH = /^\/(e|batch|capture|track|engage|s|i\/v0\/e)\/?$/;
+
+// Upstream response headers worth passing back to the browser
+const RESPONSE_HEADERS = ['content-type', 'cache-control'];
+
+export default async function ingestProxy(fastify, options) {
+  const upstream = (options.upstream || process.env.INGEST_UPSTREAM || 'https://us.i.posthog.com').replace(/\/$/, '');
+  const bodyLimit = options.bodyLimit || Number(process.env.INGEST_BODY_LIMIT) || 1024 * 1024;
+  const ipMode = options.ipMode || process.env.INGEST_IP_MODE || 'strip';
+  const ipSalt = options.ipSalt ?? process.env.INGEST_IP_SALT ?? '';
+  const timeoutMs = options.timeoutMs || Number(process.env.INGEST_TIMEOUT_MS) || 10000;
+  const flushIntervalMs = options.flushIntervalMs || Number(process.env.INGEST_FLUSH_INTERVAL_MS) || 30000;
+  // posthog-js batches events, but session recordings post every few seconds
+  const rateLimitMax = options.rateLimitMax || Number(process.env.INGEST_RATE_LIMIT_MAX) || 300;
+  const rateLimitWindow = options.rateLimitWindow || process.env.INGEST_RATE_LIMIT_WINDOW || '1 minute';
+
+  if (!IP_MODES.includes(ipMode)) {
+    throw new Error(`INGEST_IP_MODE must be one of ${IP_MODES.join(', ')} (got "${ipMode}")`);
+  }
+
+  const buffer = createIngestBuffer({
+    dir: options.bufferDir || process.env.INGEST_BUFFER_DIR || INGEST_BUFFER_DIR,
+    logger: fastify.log
+  });
+
+  /**
+   * Send one request upstream; throws when the upstream can't be reached
+   */
+  const forward = ({ path, query, contentType, body }, { method = 'POST', userAgent } = {}) => {
+    const headers = {};
+    if (contentType) headers['content-type'] = contentType;
+    if (userAgent) headers['user-agent'] = userAgent;
+
+    return fetch(`${upstream}${path}${query ? `?${query}` : ''}`, {
+      method,
+      headers,
+      body: method === 'GET' || method === 'HEAD' ? undefined : body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  };
+
+  // Replays count as delivered unless the upstream is down again - a 4xx
+  // would be rejected just the same on every retry
+  const replay = async (entry) => {
+    try {
+      const res = await forward(entry);
+      return res.status < 500;
+    } catch {
+      return false;
+    }
+  };
+
+  const timer = setInterval(() => {
+    buffer.flush(replay).catch(error => fastify.log.warn(`⚠️  Ingest buffer flush failed: ${error.message}`));
+  }, flushIntervalMs);
+  timer.unref();
+  fastify.addHook('onClose', async () => clearInterval(timer));
+
+  // Keep bodies as raw bytes whatever they claim to be - they are decoded
+  // (or passed through untouched) below
+  fastify.removeAllContentTypeParsers();
+  fastify.addContentTypeParser('*', { parseAs: 'buffer', bodyLimit }, (request, body, done) => done(null, body));
+
+  fastify.all('/*', {
+    config: {
+      rateLimit: { max: rateLimitMax, timeWindow: rateLimitWindow }
+    }
+  }, async (request, reply) => {
+    const path = `/${request.params['*']}`;
+    const query = new URLSearchParams(request.raw.url.split('?')[1] || '');
+    const isCapture = request.method === 'POST' && CAPTURE_PATH.test(path);
+
+    let body = Buffer.isBuffer(request.body) ? request.body : undefined;
+    let contentType = request.headers['content-type'];
+
+    if (isCapture && body) {
+      const payload = decodePayload(body, {
+        contentType,
+        compression: query.get('compression'),
+        maxDecompressedBytes: bodyLimit * 10
+      });
+
+      if (payload) {
+        scrubIps(payload, { mode: ipMode, clientIp: request.ip, salt: ipSalt });
+        body = Buffer.from(JSON.stringify(payload));
+        contentType = 'application/json';
+        query.delete('compression');
+      }
+    }
+
+    const target = { path, query: query.toString(), contentType, body };
+    const bufferOrFail = () => {
+      if (!buffer.save({ ...target, body: body ?? Buffer.alloc(0) })) {
+        return reply.code(503).send({ success: false, error: 'Analytics buffer is full' });
+      }
+      // The browser has handed the events over; don't make it retry them
+      return reply.code(200).send({ status: 1 });
+    };
+
+    let res;
+    try {
+      res = await forward(target, { method: request.method, userAgent: request.headers['user-agent'] });
+    } catch (error) {
+      request.log.warn(`⚠️  Analytics upstream unreachable: ${error.message}`);
+      if (isCapture) return bufferOrFail();
+      return reply.code(502).send({ success: false, error: 'Analytics upstream unreachable' });
+    }
+
+    if (isCapture && res.status >= 500) return bufferOrFail();
+
+    // Upstream is back - catch up on anything buffered while it was away
+    if (isCapture && buffer.size() > 0) buffer.flush(replay).catch(() => {});
+
+    RESPONSE_HEADERS.forEach(name => {
+      const value = res.headers.get(name);
+      if (value) reply.header(name, value);
+    });
+    return reply.code(res.status).send(Buffer.from(await res.arrayBuffer()));
+  });
+}
@@ -0,0 +1,24 @@
+/**
+ * Vote Store Plugin
+ *
+ * Decorates the Fastify instance with the Hire / Don't Hire vote store
+ * (see services/voteStore.js):
+ *
+ *   fastify.voteStore.add({ choice, dontHireAttempts })
+ *   fastify.voteStore.summary()
+ *
+ * Set VOTES_PATH to keep votes somewhere other than src/data/votes.jsonl.
+ */
+
+import fp from 'fastify-plugin';
+import { createVoteStore } from '../services/voteStore.js';
+import { VOTES_PATH } from '../config/paths.js';
+
+async function voteStore(fastify, options) {
+  fastify.decorate('voteStore', createVoteStore({
+    filePath: options.filePath || process.env.VOTES_PATH || VOTES_PATH,
+    logger: fastify.log
+  }));
+}
+
+export default fp(voteStore, { name: 'vote-store' });
@@ -1,28 +1,300 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { replyNotModified, combineSnapshots } from '../services/dataStore.js';
+import { locationOverlap, DEFAULT_WORKING_HOURS } from '../services/workingHours.js';
+import { splitList } from '../services/teamQuery.js';
+import { compareApplicant } from '../services/applicantComparison.js';
+import { applicantConnections, CONNECTION_MODES } from '../services/connections.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const memberSummary = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    role: { type: ['string', 'null'] },
+    avatar: { type: ['string', 'null'] },
+    location: { type: ['string', 'null'] },
+    country: { type: ['string', 'null'] }
+  }
+};
 
-const applicantDataPath = path.join(__dirname, '../data/applicant.json');
+const clockTime = { type: 'string', pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$' };
 
-let applicantData = null;
+export default async function applicantRoutes(fastify, options) {
+  fastify.get('/applicant', {
+    schema: {
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: { $ref: 'applicant-data#' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const snapshot = fastify.applicantStore.get();
+    if (replyNotModified(request, reply, snapshot)) return reply;
 
-function loadApplicantData() {
-  if (!applicantData) {
-    const rawData = fs.readFileSync(applicantDataPath, 'utf-8');
-    applicantData = JSON.parse(rawData);
-  }
-  return applicantData;
-}
+    return {
+      success: true,
+      data: snapshot.data
+    };
+  });
+
+  // Working-hours overlap between each applicant location and every team
+  fastify.get('/applicant/overlap', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          start: { ...clockTime, default: DEFAULT_WORKING_HOURS.start },
+          end: { ...clockTime, default: DEFAULT_WORKING_HOURS.end },
+          date: { type: 'string', format: 'date', description: 'Day to take UTC offsets on (default today)' },
+          team: { type: 'string', description: 'Comma-separated team slugs or names' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              properties: {
+                date: { type: 'string' },
+                workingHours: {
+                  type: 'object',
+                  properties: { start: { type: 'string' }, end: { type: 'string' } }
+                },
+                locations: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      location: {
+                        type: 'object',
+                        properties: {
+                          city: { type: 'string' },
+                          countryCode: { type: 'string' },
+                          timezone: { type: 'string' },
+                          utcOffset: { type: 'string' },
+                          isPrimary: { type: 'boolean' }
+                        }
+                      },
+                      teams: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            slug: { type: ['string', 'null'] },
+                            name: { type: 'string' },
+                            members: { type: 'integer' },
+                            membersWithTimezone: { type: 'integer' },
+                            membersOverlapping: { type: 'integer' },
+                            fullOverlap: { type: 'integer' },
+                            averageOverlapHours: { type: 'number' },
+                            maxOverlapHours: { type: 'number' },
+                            hourly: { type: 'array', items: { type: 'integer' } }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { start, end, team } = request.query;
+    const date = request.query.date ?? new Date().toISOString().slice(0, 10);
+    const teams = splitList(team);
+
+    const teamSnapshot = fastify.teamStore.get();
+    const applicant = fastify.applicantStore.get();
+
+    // Offsets change with daylight saving, so the answer varies by day too
+    if (replyNotModified(request, reply, combineSnapshots([teamSnapshot, applicant], date))) return reply;
+
+    const options = { hours: { start, end }, date: new Date(`${date}T12:00:00Z`) };
+    return {
+      success: true,
+      data: {
+        date,
+        workingHours: options.hours,
+        locations: applicant.data.locations.map(location => {
+          const overlap = locationOverlap(location, teamSnapshot.data.team, options);
+          return {
+            location: overlap.location,
+            teams: teams.length > 0
+              ? overlap.teams.filter(t => teams.includes(t.slug) || teams.includes(t.name))
+              : overlap.teams
+          };
+        })
+      }
+    };
+  });
+
+  // How the applicant compares with the current team
+  fastify.get('/applicant/comparison', {
+    schema: {
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              properties: {
+                skillOverlap: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      slug: { type: ['string', 'null'] },
+                      name: { type: 'string' },
+                      members: { type: 'integer' },
+                      sameRole: { type: 'integer' },
+                      matchedTerms: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: { term: { type: 'string' }, count: { type: 'integer' } }
+                        }
+                      },
+                      score: { type: 'integer' }
+                    }
+                  }
+                },
+                sharedCountries: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      countryCode: { type: 'string' },
+                      country: { type: 'string' },
+                      city: { type: 'string' },
+                      count: { type: 'integer' },
+                      members: { type: 'array', items: memberSummary }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const team = fastify.teamStore.get();
+    const applicant = fastify.applicantStore.get();
+    if (replyNotModified(request, reply, combineSnapshots([team, applicant]))) return reply;
+
+    return {
+      success: true,
+      data: compareApplicant(applicant.data, team.data.team)
+    };
+  });
+
+  // Lines from each applicant location to teammates (see services/connections.js)
+  fastify.get('/applicant/connections', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          mode: { type: 'string', enum: CONNECTION_MODES, default: 'closest' },
+          limit: { type: 'integer', minimum: 1, maximum: 50, default: 5, description: 'Teammates per location (closest mode)' },
+          team: { type: 'string', description: 'Comma-separated team slugs (team mode)' },
+          ids: { type: 'string', pattern: '^[0-9]+(,[0-9]+)*$', description: 'Comma-separated member ids (members mode)' },
+          start: { ...clockTime, default: DEFAULT_WORKING_HOURS.start },
+          end: { ...clockTime, default: DEFAULT_WORKING_HOURS.end },
+          date: { type: 'string', format: 'date', description: 'Day to take UTC offsets on (default today)' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              properties: {
+                mode: { type: 'string' },
+                date: { type: 'string' },
+                locations: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      location: {
+                        type: 'object',
+                        properties: {
+                          city: { type: 'string' },
+                          countryCode: { type: 'string' },
+                          latitude: { type: 'number' },
+                          longitude: { type: 'number' },
+                          timezone: { type: 'string' },
+                          utcOffset: { type: 'string' },
+                          isPrimary: { type: 'boolean' }
+                        }
+                      },
+                      connections: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            member: {
+                              type: 'object',
+                              properties: {
+                                ...memberSummary.properties,
+                                color: { type: ['string', 'null'] },
+                                latitude: { type: 'number' },
+                                longitude: { type: 'number' },
+                                timezone: { type: ['string', 'null'] }
+                              }
+                            },
+                            distanceKm: { type: 'number' },
+                            offsetMinutes: { type: ['integer', 'null'] },
+                            utcOffset: { type: ['string', 'null'] },
+                            overlapHours: { type: ['number', 'null'] },
+                            weight: { type: 'number' }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { mode, limit, team, ids, start, end } = request.query;
+    const date = request.query.date ?? new Date().toISOString().slice(0, 10);
+
+    const teamSnapshot = fastify.teamStore.get();
+    const applicant = fastify.applicantStore.get();
+    if (replyNotModified(request, reply, combineSnapshots([teamSnapshot, applicant], date))) return reply;
 
-export default async function applicantRoutes(fastify, options) {
-  fastify.get('/applicant', async (request, reply) => {
-    const data = loadApplicantData();
     return {
       success: true,
-      data
+      data: {
+        mode,
+        date,
+        locations: applicantConnections(applicant.data, teamSnapshot.data.team, {
+          spatial: teamSnapshot.indexes.spatial,
+          mode,
+          limit,
+          team,
+          ids,
+          hours: { start, end },
+          date: new Date(`${date}T12:00:00Z`)
+        })
+      }
     };
   });
 }
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { AVATAR_SIZES, AVATAR_SHAPES, DEFAULT_AVATAR_SIZE, placeholderSvg } from '../services/avatars.js';
+
+const errorResponse = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    error: { type: 'string' }
+  }
+};
+
+// Avatar URLs aren't versioned, so browsers keep their copy but check the
+// ETag on every use - a new download (or a placeholder being replaced by a
+// real image) shows up on the next page load, and unchanged images cost a 304
+const CACHE_CONTROL = 'public, no-cache';
+
+export default async function avatarRoutes(fastify, options) {
+  /**
+   * Find a team member (numeric id) or the applicant
+   */
+  const findPerson = (id) => {
+    const member = fastify.teamStore.get().data.team.find(m => String(m.id) === id);
+    if (member) return member;
+
+    const applicant = fastify.applicantStore.get().data;
+    return applicant.id === id ? applicant : null;
+  };
+
+  fastify.get('/avatars/:id', {
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', pattern: '^[A-Za-z0-9-]+$', description: 'Team member id or applicant id' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          size: { type: 'integer', enum: AVATAR_SIZES, default: DEFAULT_AVATAR_SIZE },
+          shape: { type: 'string', enum: AVATAR_SHAPES, default: 'square' }
+        }
+      },
+      response: {
+        404: errorResponse
+      }
+    }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const { size, shape } = request.query;
+
+    const person = findPerson(id);
+    if (!person) {
+      return reply.code(404).send({
+        success: false,
+        error: 'No team member or applicant with that id'
+      });
+    }
+
+    const stored = fastify.avatarStore.find(id, { size, shape });
+    const body = stored
+      ? null
+      : placeholderSvg({ name: person.name, color: person.color, size, shape });
+
+    const etag = stored
+      ? `"${stored.hash}-${size}-${shape}"`
+      : `"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 12)}"`;
+
+    reply
+      .header('ETag', etag)
+      .header('Cache-Control', CACHE_CONTROL);
+
+    if (request.headers['if-none-match'] === etag) return reply.code(304).send();
+
+    if (!stored) return reply.type('image/svg+xml').send(body);
+    return reply.type('image/webp').send(await fs.promises.readFile(stored.filePath));
+  });
+}
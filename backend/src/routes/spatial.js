@@ -0,0 +1,309 @@
+import { replyNotModified, combineSnapshots } from '../services/dataStore.js';
+import { parseBbox } from '../services/spatialIndex.js';
+import { parseFields, project, activeFilters, filterMembers } from '../services/teamQuery.js';
+import { createClusterIndex } from '../services/clusterIndex.js';
+import { TEAM_MEMBER_FIELDS, memberFieldsParam, memberFilterProperties } from '../schemas/team.js';
+
+const latitude = { type: 'number', minimum: -90, maximum: 90 };
+const longitude = { type: 'number', minimum: -180, maximum: 180 };
+
+const errorResponse = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    error: { type: 'string' }
+  }
+};
+
+const nearbyMember = {
+  type: 'object',
+  properties: {
+    distanceKm: { type: 'number' },
+    member: { $ref: 'team-member-partial#' }
+  }
+};
+
+// Filtered cluster indexes per team.json snapshot. The team is small enough
+// to cluster on demand; this only spares every pan a rebuild.
+const MAX_FILTERED_INDEXES = 50;
+const filteredIndexes = new WeakMap();
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * The cluster index for the filters in a querystring (the prebuilt one
+ * when there are none)
+ */
+function clusterIndexFor(snapshot, query) {
+  const filters = activeFilters(query);
+  if (Object.keys(filters).length === 0) return snapshot.indexes.clusters;
+
+  if (!filteredIndexes.has(snapshot)) filteredIndexes.set(snapshot, new Map());
+  const cache = filteredIndexes.get(snapshot);
+
+  // Tenure filters move with the calendar
+  const key = JSON.stringify({ ...filters, day: filters.tenure ? today() : null });
+  if (!cache.has(key)) {
+    if (cache.size >= MAX_FILTERED_INDEXES) cache.delete(cache.keys().next().value);
+    cache.set(key, createClusterIndex(filterMembers(snapshot.data.team, filters)));
+  }
+  return cache.get(key);
+}
+
+// What a filtered response's ETag is derived from
+const cacheKeyFor = (snapshot, query) =>
+  query.tenure ? combineSnapshots([snapshot], today()) : snapshot;
+
+const listResponse = (items) => ({
+  200: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      data: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer' },
+          results: { type: 'array', items }
+        }
+      }
+    }
+  },
+  400: errorResponse
+});
+
+export default async function spatialRoutes(fastify, options) {
+  const withDistances = (results, fields) =>
+    results.map(({ member, distanceKm }) => ({ distanceKm, member: project(member, fields) }));
+
+  // Nearest N teammates to a point
+  fastify.get('/team/nearest', {
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['lat', 'lng'],
+        properties: {
+          lat: latitude,
+          lng: longitude,
+          limit: { type: 'integer', minimum: 1, maximum: 50, default: 5 },
+          maxDistanceKm: { type: 'number', exclusiveMinimum: 0 },
+          fields: memberFieldsParam
+        }
+      },
+      response: listResponse(nearbyMember)
+    }
+  }, async (request, reply) => {
+    const { lat, lng, limit, maxDistanceKm, fields } = request.query;
+    const projection = parseFields(fields, TEAM_MEMBER_FIELDS);
+
+    const snapshot = fastify.teamStore.get();
+    if (replyNotModified(request, reply, snapshot)) return reply;
+
+    const results = snapshot.indexes.spatial.nearest({ lat, lng, limit, maxDistanceKm });
+    return {
+      success: true,
+      data: { count: results.length, results: withDistances(results, projection) }
+    };
+  });
+
+  // Everyone within a radius of a point
+  fastify.get('/team/within', {
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['lat', 'lng', 'radiusKm'],
+        properties: {
+          lat: latitude,
+          lng: longitude,
+          radiusKm: { type: 'number', exclusiveMinimum: 0, maximum: 20040 },
+          fields: memberFieldsParam
+        }
+      },
+      response: listResponse(nearbyMember)
+    }
+  }, async (request, reply) => {
+    const { lat, lng, radiusKm, fields } = request.query;
+    const projection = parseFields(fields, TEAM_MEMBER_FIELDS);
+
+    const snapshot = fastify.teamStore.get();
+    if (replyNotModified(request, reply, snapshot)) return reply;
+
+    const results = snapshot.indexes.spatial.within({ lat, lng, radiusKm });
+    return {
+      success: true,
+      data: { count: results.length, results: withDistances(results, projection) }
+    };
+  });
+
+  // Everyone inside a map viewport
+  fastify.get('/team/bbox', {
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['bbox'],
+        properties: {
+          bbox: { type: 'string', description: 'west,south,east,north' },
+          fields: memberFieldsParam
+        }
+      },
+      response: listResponse({ $ref: 'team-member-partial#' })
+    }
+  }, async (request, reply) => {
+    const bbox = parseBbox(request.query.bbox);
+    if (!bbox) {
+      return reply.code(400).send({
+        success: false,
+        error: 'bbox must be "west,south,east,north" with south <= north'
+      });
+    }
+    const projection = parseFields(request.query.fields, TEAM_MEMBER_FIELDS);
+
+    const snapshot = fastify.teamStore.get();
+    if (replyNotModified(request, reply, snapshot)) return reply;
+
+    const members = snapshot.indexes.spatial.bbox(bbox);
+    return {
+      success: true,
+      data: { count: members.length, results: members.map(m => project(m, projection)) }
+    };
+  });
+
+  // Marker clusters for a map viewport
+  fastify.get('/team/clusters', {
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['zoom'],
+        properties: {
+          zoom: { type: 'number', minimum: 0, maximum: 24 },
+          bbox: { type: 'string', default: '-180,-90,180,90', description: 'west,south,east,north' },
+          ...memberFilterProperties
+        }
+      },
+      response: listResponse({
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['cluster', 'member'] },
+          id: { type: 'string' },
+          clusterId: { type: 'integer' },
+          latitude,
+          longitude,
+          count: { type: 'integer' },
+          expansionZoom: { type: ['integer', 'null'] },
+          topTeams: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { name: { type: 'string' }, count: { type: 'integer' } }
+            }
+          },
+          sampleMemberIds: { type: 'array', items: { type: 'integer' } },
+          member: { $ref: 'team-member-partial#' }
+        }
+      })
+    }
+  }, async (request, reply) => {
+    const bbox = parseBbox(request.query.bbox);
+    if (!bbox) {
+      return reply.code(400).send({
+        success: false,
+        error: 'bbox must be "west,south,east,north" with south <= north'
+      });
+    }
+
+    const snapshot = fastify.teamStore.get();
+    if (replyNotModified(request, reply, cacheKeyFor(snapshot, request.query))) return reply;
+
+    const results = clusterIndexFor(snapshot, request.query).getClusters(bbox, request.query.zoom);
+    return {
+      success: true,
+      data: { count: results.length, results }
+    };
+  });
+
+  // Members of one cluster (cluster ids are only valid for the team.json
+  // version and filters they came from - pass the same filters)
+  fastify.get('/team/clusters/:clusterId/members', {
+    schema: {
+      params: {
+        type: 'object',
+        properties: { clusterId: { type: 'integer' } }
+      },
+      querystring: {
+        type: 'object',
+        properties: memberFilterProperties
+      },
+      response: {
+        ...listResponse({ $ref: 'team-member-partial#' }),
+        404: errorResponse
+      }
+    }
+  }, async (request, reply) => {
+    const snapshot = fastify.teamStore.get();
+    const members = clusterIndexFor(snapshot, request.query).getMembers(request.params.clusterId);
+
+    if (!members) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Cluster not found'
+      });
+    }
+
+    if (replyNotModified(request, reply, cacheKeyFor(snapshot, request.query))) return reply;
+
+    return {
+      success: true,
+      data: { count: members.length, results: members }
+    };
+  });
+
+  // Closest teammates to each of the applicant's locations
+  fastify.get('/applicant/nearest', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 50, default: 5 },
+          fields: memberFieldsParam
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  location: { $ref: 'applicant-location#' },
+                  nearest: { type: 'array', items: nearbyMember }
+                }
+              }
+            }
+          }
+        },
+        400: errorResponse
+      }
+    }
+  }, async (request, reply) => {
+    const { limit, fields } = request.query;
+    const projection = parseFields(fields, TEAM_MEMBER_FIELDS);
+
+    const team = fastify.teamStore.get();
+    const applicant = fastify.applicantStore.get();
+
+    if (replyNotModified(request, reply, combineSnapshots([team, applicant]))) return reply;
+
+    return {
+      success: true,
+      data: applicant.data.locations.map(location => ({
+        location,
+        nearest: withDistances(
+          team.indexes.spatial.nearest({ lat: location.latitude, lng: location.longitude, limit }),
+          projection
+        )
+      }))
+    };
+  });
+}
@@ -0,0 +1,141 @@
+import { replyNotModified, combineSnapshots } from '../services/dataStore.js';
+import {
+  overviewStats,
+  countryStats,
+  regionStats,
+  teamStats,
+  timezoneStats
+} from '../services/teamStats.js';
+
+const countrySchema = {
+  type: 'object',
+  properties: {
+    code: { type: 'string' },
+    name: { type: 'string' },
+    count: { type: 'integer' }
+  }
+};
+
+const statsResponse = (data) => ({
+  200: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      data
+    }
+  }
+});
+
+export default async function statsRoutes(fastify, options) {
+  /**
+   * Register a stats endpoint that recomputes from the current team.json
+   *
+   * `variesByDay` folds today's date into the ETag, for answers that move
+   * with the calendar as well as with the data
+   */
+  const statsRoute = (url, dataSchema, compute, { variesByDay = false } = {}) => {
+    fastify.get(url, { schema: { response: statsResponse(dataSchema) } }, async (request, reply) => {
+      const snapshot = fastify.teamStore.get();
+      const today = new Date().toISOString().slice(0, 10);
+      if (replyNotModified(request, reply, variesByDay ? combineSnapshots([snapshot], today) : snapshot)) return reply;
+
+      return {
+        success: true,
+        data: compute(snapshot.data)
+      };
+    });
+  };
+
+  statsRoute('/stats', {
+    type: 'object',
+    properties: {
+      totalMembers: { type: 'integer' },
+      mappedMembers: { type: 'integer' },
+      countries: { type: 'integer' },
+      uniqueRoles: { type: 'integer' },
+      teams: { type: 'integer' },
+      teamLeads: { type: 'integer' },
+      avatarCoverage: {
+        type: 'object',
+        properties: { count: { type: 'integer' }, percent: { type: 'number' } }
+      },
+      bioCoverage: {
+        type: 'object',
+        properties: { count: { type: 'integer' }, percent: { type: 'number' } }
+      },
+      pineappleOnPizza: {
+        type: 'object',
+        properties: {
+          yes: { type: 'integer' },
+          no: { type: 'integer' },
+          undecided: { type: 'integer' }
+        }
+      }
+    }
+  }, data => overviewStats(data.team));
+
+  statsRoute('/stats/countries', {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        ...countrySchema.properties,
+        continent: { type: 'string' },
+        percent: { type: 'number' }
+      }
+    }
+  }, data => countryStats(data.team));
+
+  statsRoute('/stats/regions', {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        continent: { type: 'string' },
+        count: { type: 'integer' },
+        percent: { type: 'number' },
+        countries: { type: 'array', items: countrySchema }
+      }
+    }
+  }, data => regionStats(data.team));
+
+  statsRoute('/stats/teams', {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        slug: { type: ['string', 'null'] },
+        name: { type: 'string' },
+        count: { type: 'integer' },
+        leads: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { id: { type: 'integer' }, name: { type: 'string' } }
+          }
+        },
+        countries: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { code: { type: 'string' }, count: { type: 'integer' } }
+          }
+        }
+      }
+    }
+  }, data => teamStats(data.team));
+
+  // UTC offsets shift with daylight saving, so the answer varies by day too
+  statsRoute('/stats/timezones', {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        timezone: { type: 'string' },
+        utcOffsetMinutes: { type: ['integer', 'null'] },
+        utcOffset: { type: ['string', 'null'] },
+        count: { type: 'integer' }
+      }
+    }
+  }, data => timezoneStats(data.team), { variesByDay: true });
+}
@@ -1,39 +1,172 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { countHeadcount } from '../services/teamStats.js';
+import { replyNotModified, combineSnapshots } from '../services/dataStore.js';
+import { queryTeam, teamFacets, SORT_OPTIONS } from '../services/teamQuery.js';
+import { TEAM_MEMBER_FIELDS, memberFieldsParam, memberFilterProperties } from '../schemas/team.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const teamQuerystring = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ...memberFilterProperties,
+    sort: { type: 'string', enum: SORT_OPTIONS },
+    fields: memberFieldsParam,
+    limit: { type: 'integer', minimum: 1, maximum: 200 },
+    cursor: { type: 'string', maxLength: 500 },
+    verificationScores: {
+      type: 'boolean',
+      default: false,
+      description: 'Include the per-location verification scores in metadata'
+    }
+  }
+};
 
-const teamDataPath = path.join(__dirname, '../data/team.json');
+/**
+ * Response metadata - the per-location verification scores (one per
+ * `location|country`) only go out when asked for
+ */
+function responseMetadata(data, { verificationScores }) {
+  const metadata = { ...data.metadata, headcount: countHeadcount(data.team) };
+  if (metadata.verification && !verificationScores) {
+    const { scores, ...summary } = metadata.verification;
+    metadata.verification = summary;
+  }
+  return metadata;
+}
 
-let teamData = null;
+const facetOption = (key) => ({
+  type: 'object',
+  properties: { ...key, name: { type: 'string' }, count: { type: 'integer' } }
+});
 
-function loadTeamData() {
-  if (!teamData) {
-    const rawData = fs.readFileSync(teamDataPath, 'utf-8');
-    teamData = JSON.parse(rawData);
+const errorResponse = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    error: { type: 'string' }
   }
-  return teamData;
-}
+};
 
 export default async function teamRoutes(fastify, options) {
-  fastify.get('/team', async (request, reply) => {
-    const data = loadTeamData();
+  // Without query parameters this is the whole team, in team.json order
+  fastify.get('/team', {
+    schema: {
+      querystring: teamQuerystring,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              properties: {
+                metadata: { $ref: 'team-metadata#' },
+                team: { type: 'array', items: { $ref: 'team-member-partial#' } },
+                pagination: {
+                  type: 'object',
+                  properties: {
+                    total: { type: 'integer' },
+                    count: { type: 'integer' },
+                    limit: { type: ['integer', 'null'] },
+                    nextCursor: { type: ['string', 'null'] }
+                  }
+                }
+              }
+            }
+          }
+        },
+        400: errorResponse
+      }
+    }
+  }, async (request, reply) => {
+    const snapshot = fastify.teamStore.get();
+    if (replyNotModified(request, reply, snapshot)) return reply;
+
+    const { data } = snapshot;
+    const { team, total, nextCursor } = queryTeam(data.team, request.query, TEAM_MEMBER_FIELDS);
+
     return {
       success: true,
       data: {
-        metadata: data.metadata,
-        team: data.team
+        // Headcounts are recounted from the served members so they're always exact
+        metadata: responseMetadata(data, request.query),
+        team,
+        pagination: {
+          total,
+          count: team.length,
+          limit: request.query.limit ?? null,
+          nextCursor
+        }
       }
     };
   });
 
-  fastify.get('/team/:id', async (request, reply) => {
+  // Filter panel counts: matches overall and per option
+  fastify.get('/team/facets', {
+    schema: {
+      querystring: {
+        type: 'object',
+        additionalProperties: false,
+        properties: memberFilterProperties
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                mapped: { type: 'integer' },
+                everyone: { type: 'integer' },
+                countries: { type: 'array', items: facetOption({ code: { type: 'string' } }) },
+                teams: { type: 'array', items: facetOption({ slug: { type: 'string' } }) },
+                tenure: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { range: { type: 'string' }, count: { type: 'integer' } }
+                  }
+                },
+                leads: { type: 'integer' }
+              }
+            }
+          }
+        },
+        400: errorResponse
+      }
+    }
+  }, async (request, reply) => {
+    const snapshot = fastify.teamStore.get();
+
+    // Tenure moves with the calendar, so the counts vary by day too
+    const today = new Date().toISOString().slice(0, 10);
+    if (replyNotModified(request, reply, combineSnapshots([snapshot], today))) return reply;
+
+    return {
+      success: true,
+      data: teamFacets(snapshot.data.team, request.query)
+    };
+  });
+
+  fastify.get('/team/:id', {
+    schema: {
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: { $ref: 'team-member#' }
+          }
+        },
+        404: errorResponse
+      }
+    }
+  }, async (request, reply) => {
     const { id } = request.params;
-    const data = loadTeamData();
+    const snapshot = fastify.teamStore.get();
 
-    const member = data.team.find(m => m.id === parseInt(id));
+    const member = snapshot.data.team.find(m => m.id === parseInt(id));
 
     if (!member) {
       return reply.code(404).send({
@@ -42,6 +175,8 @@ export default async function teamRoutes(fastify, options) {
       });
     }
 
+    if (replyNotModified(request, reply, snapshot)) return reply;
+
     return {
       success: true,
       data: member
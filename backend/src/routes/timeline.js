@@ -0,0 +1,63 @@
+import { replyNotModified } from '../services/dataStore.js';
+import { timelineStats } from '../services/teamStats.js';
+
+export default async function timelineRoutes(fastify, options) {
+  // Team growth by start month
+  fastify.get('/timeline', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          groupBy: { type: 'string', enum: ['country', 'team'] }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              properties: {
+                groupBy: { type: ['string', 'null'] },
+                from: { type: ['string', 'null'] },
+                to: { type: ['string', 'null'] },
+                undated: { type: 'integer' },
+                months: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      month: { type: 'string' },
+                      hires: { type: 'integer' },
+                      total: { type: 'integer' },
+                      groups: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            key: { type: 'string' },
+                            name: { type: 'string' },
+                            count: { type: 'integer' }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const snapshot = fastify.teamStore.get();
+    if (replyNotModified(request, reply, snapshot)) return reply;
+
+    return {
+      success: true,
+      data: timelineStats(snapshot.data.team, { groupBy: request.query.groupBy })
+    };
+  });
+}
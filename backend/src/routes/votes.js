@@ -0,0 +1,99 @@
+import { VOTE_CHOICES } from '../services/voteStore.js';
+
+const summarySchema = {
+  type: 'object',
+  properties: {
+    total: { type: 'integer' },
+    hire: { type: 'integer' },
+    dontHire: { type: 'integer' },
+    hirePercent: { type: 'number' },
+    averageDontHireAttempts: { type: 'number' },
+    maxDontHireAttempts: { type: 'integer' },
+    lastVoteAt: { type: ['string', 'null'] }
+  }
+};
+
+const errorResponse = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    error: { type: 'string' }
+  }
+};
+
+export default async function voteRoutes(fastify, options) {
+  // Cast a vote - limited per client so the tally can't be stuffed
+  fastify.post('/votes', {
+    config: {
+      rateLimit: {
+        max: Number(process.env.VOTE_RATE_LIMIT_MAX) || 5,
+        timeWindow: process.env.VOTE_RATE_LIMIT_WINDOW || '1 hour'
+      }
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['choice'],
+        additionalProperties: false,
+        properties: {
+          choice: { type: 'string', enum: VOTE_CHOICES },
+          dontHireAttempts: { type: 'integer', minimum: 0, maximum: 1000, default: 0 }
+        }
+      },
+      response: {
+        201: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              properties: {
+                vote: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    choice: { type: 'string' },
+                    dontHireAttempts: { type: 'integer' },
+                    createdAt: { type: 'string' }
+                  }
+                },
+                summary: summarySchema
+              }
+            }
+          }
+        },
+        400: errorResponse,
+        429: errorResponse
+      }
+    }
+  }, async (request, reply) => {
+    const vote = await fastify.voteStore.add(request.body);
+
+    return reply.code(201).send({
+      success: true,
+      data: { vote, summary: fastify.voteStore.summary() }
+    });
+  });
+
+  // Running tally
+  fastify.get('/votes/summary', {
+    schema: {
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: summarySchema
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    reply.header('Cache-Control', 'no-store');
+
+    return {
+      success: true,
+      data: fastify.voteStore.summary()
+    };
+  });
+}
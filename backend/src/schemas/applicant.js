@@ -0,0 +1,132 @@
+/**
+ * applicant.json Schemas
+ *
+ * Registered with Fastify (see server.js) for response serialization and
+ * with Ajv (see ./index.js) for validating the file itself.
+ */
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+export const applicantLocationSchema = {
+  $id: 'applicant-location',
+  type: 'object',
+  required: ['city', 'country', 'countryCode', 'latitude', 'longitude', 'percentage', 'isPrimary'],
+  additionalProperties: false,
+  properties: {
+    city: { type: 'string', minLength: 1 },
+    country: { type: 'string', minLength: 1 },
+    countryCode: { type: 'string', pattern: '^[A-Z]{2}$' },
+    flag: { type: 'string' },
+    latitude: { type: 'number', minimum: -90, maximum: 90 },
+    longitude: { type: 'number', minimum: -180, maximum: 180 },
+    timezone: { type: 'string', description: 'IANA zone, filled in by the pipeline' },
+    percentage: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+    isPrimary: { type: 'boolean' }
+  }
+};
+
+export const applicantDataSchema = {
+  $id: 'applicant-data',
+  type: 'object',
+  required: ['id', 'name', 'role', 'locations'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    firstName: { type: 'string' },
+    lastName: { type: 'string' },
+    role: { type: 'string' },
+    email: { type: 'string', format: 'email' },
+    phone: { type: 'string' },
+    github: { type: 'string', format: 'uri' },
+    linkedin: { type: 'string', format: 'uri' },
+    color: { type: 'string' },
+    avatar: { type: ['string', 'null'] },
+    locations: {
+      type: 'array',
+      minItems: 1,
+      items: { $ref: 'applicant-location#' }
+    },
+    bio: { type: 'string' },
+    whyPostHog: { type: 'string' },
+    skills: stringList,
+    techStack: {
+      type: 'object',
+      additionalProperties: stringList
+    },
+    stats: {
+      type: 'object',
+      additionalProperties: { type: ['number', 'string'] }
+    },
+    highlights: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'description'],
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string' },
+          description: { type: 'string' },
+          impact: { type: 'string' }
+        }
+      }
+    },
+    funFacts: stringList,
+    education: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['degree', 'school'],
+        additionalProperties: false,
+        properties: {
+          degree: { type: 'string' },
+          school: { type: 'string' },
+          year: { type: 'string' },
+          hours: { type: 'number' },
+          focus: { type: 'string' }
+        }
+      }
+    },
+    experience: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['company', 'role'],
+        additionalProperties: false,
+        properties: {
+          company: { type: 'string' },
+          role: { type: 'string' },
+          period: { type: 'string' },
+          type: { type: 'string' },
+          description: { type: 'string' }
+        }
+      }
+    },
+    pineappleOnPizza: { type: ['boolean', 'null'] },
+    startDate: { type: ['string', 'null'], format: 'date' },
+    isApplicant: { type: 'boolean' },
+    applicationDate: { type: 'string', format: 'date' }
+  }
+};
+
+/**
+ * Rules JSON Schema can't express
+ */
+export function checkApplicantData(data) {
+  const errors = [];
+
+  const total = data.locations.reduce((sum, location) => sum + location.percentage, 0);
+  if (Math.abs(total - 100) > 1e-9) {
+    errors.push({
+      path: '/locations',
+      message: `percentage values must sum to 100 (got ${total}: ${data.locations.map(l => l.percentage).join(' + ')})`
+    });
+  }
+
+  const primaries = data.locations.filter(location => location.isPrimary).length;
+  if (primaries > 1) {
+    errors.push({ path: '/locations', message: `only one location can be isPrimary (found ${primaries})` });
+  }
+
+  return errors;
+}
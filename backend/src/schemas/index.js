@@ -0,0 +1,91 @@
+/**
+ * Data Document Validation
+ *
+ * Compiles the team.json and applicant.json schemas with Ajv and adds the
+ * cross-field checks JSON Schema can't express. Errors come back as
+ * `{ path, message }` pairs, where `path` is a JSON pointer into the
+ * document (e.g. "/locations/1/percentage").
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import {
+  teamMemberSchema,
+  teamMemberPartialSchema,
+  teamMetadataSchema,
+  teamDataSchema,
+  checkTeamData
+} from './team.js';
+import { applicantLocationSchema, applicantDataSchema, checkApplicantData } from './applicant.js';
+
+// Every schema with an $id, in dependency order - also registered with Fastify
+export const schemas = [
+  teamMemberSchema,
+  teamMemberPartialSchema,
+  teamMetadataSchema,
+  teamDataSchema,
+  applicantLocationSchema,
+  applicantDataSchema
+];
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, schemas });
+addFormats(ajv);
+
+const documents = {
+  team: { validate: ajv.getSchema('team-data'), check: checkTeamData },
+  applicant: { validate: ajv.getSchema('applicant-data'), check: checkApplicantData }
+};
+
+/**
+ * Turn an Ajv error into a `{ path, message }` pair naming the exact field
+ */
+function toFieldError(error) {
+  let path = error.instancePath || '/';
+
+  if (error.keyword === 'required') {
+    path = `${error.instancePath}/${error.params.missingProperty}`;
+    return { path, message: 'is required' };
+  }
+  if (error.keyword === 'additionalProperties') {
+    path = `${error.instancePath}/${error.params.additionalProperty}`;
+    return { path, message: 'is not an allowed property' };
+  }
+
+  return { path, message: error.message };
+}
+
+/**
+ * Validate a data document
+ *
+ * @param {'team'|'applicant'} kind - Which document this is
+ * @param {object} data - Parsed JSON
+ * @returns {{ valid: boolean, errors: { path: string, message: string }[] }}
+ */
+export function validateData(kind, data) {
+  const document = documents[kind];
+  if (!document) {
+    throw new Error(`Unknown data document "${kind}" (expected ${Object.keys(documents).join(' or ')})`);
+  }
+
+  if (!document.validate(data)) {
+    return { valid: false, errors: document.validate.errors.map(toFieldError) };
+  }
+
+  const errors = document.check(data);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a data document, throwing one error that lists every problem
+ *
+ * @param {'team'|'applicant'} kind - Which document this is
+ * @param {object} data - Parsed JSON
+ * @param {string} [source] - File name for the error message
+ */
+export function assertValid(kind, data, source = `${kind} data`) {
+  const { valid, errors } = validateData(kind, data);
+  if (valid) return data;
+
+  const details = errors.map(error => `  ${error.path}: ${error.message}`).join('\n');
+  throw new Error(`${source} failed schema validation:\n${details}`);
+}
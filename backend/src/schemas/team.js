@@ -0,0 +1,198 @@
+/**
+ * team.json Schemas
+ *
+ * Registered with Fastify (see server.js) for response serialization and
+ * with Ajv (see ./index.js) for validating the file itself, so both always
+ * agree on the shape of the data.
+ */
+
+// Where a member's coordinates came from (see processTeamData.js)
+export const LOCATION_STATUSES = ['geocoded', 'override', 'country-centroid', 'unknown'];
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+export const teamMemberSchema = {
+  $id: 'team-member',
+  type: 'object',
+  required: [
+    'id', 'name', 'firstName', 'lastName', 'latitude', 'longitude',
+    'locationStatus', 'timezone', 'hidden', 'teams', 'leadTeams'
+  ],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string', minLength: 1 },
+    firstName: { type: 'string' },
+    lastName: { type: 'string' },
+    role: nullable('string'),
+    location: nullable('string'),
+    country: nullable('string'),
+    latitude: { type: ['number', 'null'], minimum: -90, maximum: 90 },
+    longitude: { type: ['number', 'null'], minimum: -180, maximum: 180 },
+    formattedAddress: nullable('string'),
+    locationStatus: { type: 'string', enum: LOCATION_STATUSES },
+    timezone: nullable('string'),
+    locationLabel: nullable('string'),
+    hidden: { type: 'boolean' },
+    avatar: nullable('string'),
+    biography: nullable('string'),
+    color: nullable('string'),
+    pronouns: nullable('string'),
+    pineappleOnPizza: nullable('boolean'),
+    startDate: { type: ['string', 'null'], format: 'date' },
+    teams: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          slug: nullable('string')
+        }
+      }
+    },
+    leadTeams: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Field names a `fields=` projection may ask for
+export const TEAM_MEMBER_FIELDS = Object.keys(teamMemberSchema.properties);
+
+// Querystring parameter for `fields=` projections
+export const memberFieldsParam = {
+  type: 'string',
+  pattern: '^[A-Za-z]+(,[A-Za-z]+)*$',
+  description: 'Comma-separated fields to return'
+};
+
+// Querystring filters shared by every route that narrows the team
+// (see buildFilter in services/teamQuery.js)
+export const memberFilterProperties = {
+  country: { type: 'string', description: 'Comma-separated ISO country codes' },
+  team: { type: 'string', description: 'Comma-separated team slugs' },
+  role: { type: 'string', minLength: 1, description: 'Case-insensitive role substring' },
+  lead: { type: 'boolean', description: 'Only team leads (true) or non-leads (false)' },
+  pineappleOnPizza: { type: 'boolean' },
+  q: { type: 'string', maxLength: 200, description: 'Search name, role and bio' },
+  name: { type: 'string', maxLength: 200, description: 'Search names only' },
+  tenure: {
+    type: 'string',
+    pattern: '^[a-z0-9-]+(,[a-z0-9-]+)*$',
+    description: 'Comma-separated tenure ranges: under-1, 1-2, 2-4, over-4 (years)'
+  }
+};
+
+// Same member shape with every field optional, for `fields=` projections
+export const teamMemberPartialSchema = {
+  ...teamMemberSchema,
+  $id: 'team-member-partial',
+  required: ['id']
+};
+
+const headcountSchema = {
+  type: 'object',
+  required: ['total', 'mapped', 'unmapped', 'hidden', 'byLocationStatus'],
+  additionalProperties: false,
+  properties: {
+    total: { type: 'integer', minimum: 0 },
+    mapped: { type: 'integer', minimum: 0 },
+    unmapped: { type: 'integer', minimum: 0 },
+    hidden: { type: 'integer', minimum: 0 },
+    byLocationStatus: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        LOCATION_STATUSES.map(status => [status, { type: 'integer', minimum: 0 }])
+      )
+    }
+  }
+};
+
+const verificationSchema = {
+  type: ['object', 'null'],
+  // `scores` is left out of API responses unless asked for
+  required: ['threshold', 'verified', 'flagged', 'averageScore'],
+  additionalProperties: false,
+  properties: {
+    threshold: { type: 'number' },
+    verified: { type: 'integer', minimum: 0 },
+    flagged: { type: 'integer', minimum: 0 },
+    averageScore: nullable('number'),
+    scores: {
+      type: 'object',
+      additionalProperties: nullable('number')
+    }
+  }
+};
+
+export const teamMetadataSchema = {
+  $id: 'team-metadata',
+  type: 'object',
+  required: ['totalMembers', 'lastUpdated', 'source', 'dataVersion'],
+  additionalProperties: false,
+  properties: {
+    totalMembers: { type: 'integer', minimum: 0 },
+    headcount: headcountSchema,
+    verification: verificationSchema,
+    lastUpdated: { type: 'string', format: 'date-time' },
+    source: { type: 'string' },
+    dataVersion: { type: 'string' }
+  }
+};
+
+export const teamDataSchema = {
+  $id: 'team-data',
+  type: 'object',
+  required: ['metadata', 'team'],
+  additionalProperties: false,
+  properties: {
+    metadata: { $ref: 'team-metadata#' },
+    team: {
+      type: 'array',
+      items: { $ref: 'team-member#' }
+    }
+  }
+};
+
+/**
+ * Rules JSON Schema can't express
+ */
+export function checkTeamData(data) {
+  const errors = [];
+  const seen = new Map();
+
+  data.team.forEach((member, index) => {
+    if (seen.has(member.id)) {
+      errors.push({
+        path: `/team/${index}/id`,
+        message: `duplicate id ${member.id} (also at /team/${seen.get(member.id)})`
+      });
+    }
+    seen.set(member.id, index);
+
+    if ((member.latitude == null) !== (member.longitude == null)) {
+      errors.push({ path: `/team/${index}`, message: 'latitude and longitude must both be set or both be null' });
+    }
+  });
+
+  if (data.metadata.totalMembers !== data.team.length) {
+    errors.push({
+      path: '/metadata/totalMembers',
+      message: `is ${data.metadata.totalMembers} but team has ${data.team.length} members`
+    });
+  }
+
+  return errors;
+}
@@ -1,8 +1,19 @@
 import Fastify from 'fastify';
 import cors from '@fastify/cors';
+import rateLimit from '@fastify/rate-limit';
 import dotenv from 'dotenv';
 import teamRoutes from './routes/team.js';
 import applicantRoutes from './routes/applicant.js';
+import statsRoutes from './routes/stats.js';
+import spatialRoutes from './routes/spatial.js';
+import timelineRoutes from './routes/timeline.js';
+import voteRoutes from './routes/votes.js';
+import avatarRoutes from './routes/avatars.js';
+import { schemas } from './schemas/index.js';
+import dataStores from './plugins/dataStores.js';
+import avatarStore from './plugins/avatarStore.js';
+import ingestProxy from './plugins/ingestProxy.js';
+import voteStore from './plugins/voteStore.js';
 
 dotenv.config();
 
@@ -12,8 +23,42 @@ await fastify.register(cors, {
   origin: process.env.FRONTEND_URL || 'http://localhost:5173'
 });
 
+// Only routes that opt in (config.rateLimit) are limited
+await fastify.register(rateLimit, { global: false });
+
+// Keep error responses in the API's { success, error } shape
+fastify.setErrorHandler((error, request, reply) => {
+  const statusCode = error.validation ? 400 : error.statusCode || 500;
+  if (statusCode >= 500) request.log.error(error);
+
+  reply.code(statusCode).send({
+    success: false,
+    error: statusCode >= 500 ? 'Internal server error' : error.message
+  });
+});
+
+// Data schemas drive response serialization (routes reference them by $id)
+schemas.forEach(schema => fastify.addSchema(schema));
+
+// Hot-reloading team.json / applicant.json
+await fastify.register(dataStores);
+
+// Hire / Don't Hire votes
+await fastify.register(voteStore);
+
+// Downloaded avatars (npm run avatars)
+await fastify.register(avatarStore);
+
 await fastify.register(teamRoutes, { prefix: '/api' });
 await fastify.register(applicantRoutes, { prefix: '/api' });
+await fastify.register(statsRoutes, { prefix: '/api' });
+await fastify.register(spatialRoutes, { prefix: '/api' });
+await fastify.register(timelineRoutes, { prefix: '/api' });
+await fastify.register(voteRoutes, { prefix: '/api' });
+await fastify.register(avatarRoutes, { prefix: '/api' });
+
+// Analytics proxy (first-party endpoint the frontend sends events to)
+await fastify.register(ingestProxy, { prefix: '/api/ingest' });
 
 fastify.get('/api/health', async () => {
   return {
@@ -0,0 +1,116 @@
+/**
+ * Applicant vs Team
+ *
+ * How the applicant lines up against the people already at PostHog: which
+ * teams share their role and tech stack, and who already lives in one of
+ * their countries. Nearest colleagues are a spatial query - see
+ * GET /api/applicant/nearest.
+ *
+ * Matching is plain text over member roles and biographies, so it favours
+ * teammates who wrote about their stack; treat the numbers as a hint.
+ */
+
+import { getCountry } from '../utils/countries.js';
+
+// Member fields returned alongside comparisons
+const MEMBER_SUMMARY_FIELDS = ['id', 'name', 'role', 'avatar', 'location', 'country'];
+
+const summarize = (member) =>
+  Object.fromEntries(MEMBER_SUMMARY_FIELDS.map(field => [field, member[field]]));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Terms to look for: the tech stack as is, plus skills split on "&"
+ * ("React & TypeScript" -> "React", "TypeScript")
+ */
+function skillTerms(applicant) {
+  const terms = [
+    ...Object.values(applicant.techStack || {}).flat(),
+    ...(applicant.skills || []).flatMap(skill => skill.split('&'))
+  ].map(term => term.trim()).filter(Boolean);
+
+  const unique = new Map(terms.map(term => [term.toLowerCase(), term]));
+  return Array.from(unique.values()).map(term => ({
+    term,
+    // Whole words only, so "Express" doesn't match "expression"
+    pattern: new RegExp(`(?<![a-z0-9])${escapeRegExp(term.toLowerCase())}(?![a-z0-9])`)
+  }));
+}
+
+/**
+ * The applicant's role without asides: "Product Engineer (Aspiring ...)"
+ * -> "product engineer"
+ */
+const baseRole = (role) => (role || '').replace(/\(.*?\)/g, '').trim().toLowerCase();
+
+/**
+ * Teams ranked by how much they share with the applicant
+ *
+ * A team scores one point per member with the applicant's role and one per
+ * member mentioning each of the applicant's skills. Teams scoring zero are
+ * left out.
+ */
+export function skillOverlap(applicant, members) {
+  const terms = skillTerms(applicant);
+  const role = baseRole(applicant.role);
+  const teams = new Map();
+
+  members.filter(m => !m.hidden).forEach(member => {
+    const text = `${member.role || ''}\n${member.biography || ''}`.toLowerCase();
+    const matched = terms.filter(({ pattern }) => pattern.test(text)).map(({ term }) => term);
+    const sameRole = role !== '' && (member.role || '').toLowerCase().includes(role);
+
+    member.teams.forEach(team => {
+      const key = team.slug || team.name;
+      if (!teams.has(key)) {
+        teams.set(key, { slug: team.slug, name: team.name, members: 0, sameRole: 0, terms: new Map() });
+      }
+      const entry = teams.get(key);
+      entry.members++;
+      if (sameRole) entry.sameRole++;
+      matched.forEach(term => entry.terms.set(term, (entry.terms.get(term) || 0) + 1));
+    });
+  });
+
+  return Array.from(teams.values())
+    .map(({ terms: counts, ...team }) => {
+      const matchedTerms = Array.from(counts.entries())
+        .map(([term, count]) => ({ term, count }))
+        .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term));
+
+      return {
+        ...team,
+        matchedTerms,
+        score: team.sameRole + matchedTerms.reduce((sum, { count }) => sum + count, 0)
+      };
+    })
+    .filter(team => team.score > 0)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+/**
+ * Teammates living in each of the applicant's countries
+ */
+export function sharedCountries(applicant, members) {
+  return applicant.locations.map(location => {
+    const locals = members.filter(m => !m.hidden && m.country === location.countryCode);
+    return {
+      countryCode: location.countryCode,
+      country: getCountry(location.countryCode)?.name ?? location.country,
+      city: location.city,
+      count: locals.length,
+      members: locals.map(summarize)
+    };
+  });
+}
+
+/**
+ * Everything the applicant panel compares
+ */
+export function compareApplicant(applicant, members) {
+  return {
+    skillOverlap: skillOverlap(applicant, members),
+    sharedCountries: sharedCountries(applicant, members)
+  };
+}
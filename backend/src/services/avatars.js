@@ -0,0 +1,176 @@
+/**
+ * Avatar Store
+ *
+ * Team avatars are downloaded once by the pipeline (see
+ * utils/downloadAvatars.js) and kept as ready-made WebP variants:
+ *
+ *   avatars/27732-96-square.webp
+ *   avatars/27732-96-circle.webp
+ *   avatars/manifest.json         { "27732": { source, hash, updatedAt } }
+ *
+ * Avatars are transparent cut-outs meant to sit on the person's `color`,
+ * so every variant is flattened onto it. People without an image get an
+ * SVG placeholder with their initials on the same colour.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+
+export const AVATAR_SIZES = [48, 96, 192];
+export const AVATAR_SHAPES = ['square', 'circle'];
+export const DEFAULT_AVATAR_SIZE = 96;
+
+// The named colours used in team.json and applicant.json
+export const AVATAR_COLORS = {
+  blue: '#2f80fa',
+  'sky-blue': '#4db8e8',
+  teal: '#29a8a8',
+  seagreen: '#30a46c',
+  green: '#6aa84f',
+  'lime-green': '#a3d65c',
+  yellow: '#f7a501',
+  orange: '#eb9d2a',
+  salmon: '#f9a88a',
+  red: '#f54e00',
+  lilac: '#b8a1e8',
+  purple: '#b62ad9'
+};
+const FALLBACK_COLOR = '#9ea3ae';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+export const colorHex = (color) => AVATAR_COLORS[color] ?? FALLBACK_COLOR;
+
+export const variantFileName = (id, size, shape) => `${id}-${size}-${shape}.webp`;
+
+/**
+ * Every variant of one source image
+ *
+ * @param {Buffer} image - Downloaded avatar (any format sharp reads)
+ * @param {string} [color] - Named background colour
+ * @returns {Promise<{ size: number, shape: string, buffer: Buffer }[]>}
+ */
+export async function renderVariants(image, color) {
+  const background = colorHex(color);
+  const variants = [];
+
+  for (const size of AVATAR_SIZES) {
+    const square = await sharp(image)
+      .resize(size, size, { fit: 'cover', position: 'top' })
+      .flatten({ background })
+      .webp({ quality: 82 })
+      .toBuffer();
+    variants.push({ size, shape: 'square', buffer: square });
+
+    // Keep only the pixels under a centred circle
+    const mask = Buffer.from(
+      `<svg width="${size}" height="${size}"><circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}" fill="#fff"/></svg>`
+    );
+    const circle = await sharp(square)
+      .composite([{ input: mask, blend: 'dest-in' }])
+      .webp({ quality: 82 })
+      .toBuffer();
+    variants.push({ size, shape: 'circle', buffer: circle });
+  }
+
+  return variants;
+}
+
+/**
+ * Up to two initials: "James Hawkins" -> "JH", "Cher" -> "C"
+ */
+export function initials(name) {
+  const words = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return '?';
+
+  const letters = words.length === 1 ? [words[0]] : [words[0], words[words.length - 1]];
+  return letters.map(word => Array.from(word)[0].toUpperCase()).join('');
+}
+
+// Dark text on light colours, white on dark ones
+function textColor(hex) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.6 ? '#151515' : '#ffffff';
+}
+
+/**
+ * Initials on the person's colour, for people without an image
+ *
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string} [options.color] - Named colour
+ * @param {number} [options.size]
+ * @param {'square'|'circle'} [options.shape]
+ * @returns {string} SVG document
+ */
+export function placeholderSvg({ name, color, size = DEFAULT_AVATAR_SIZE, shape = 'square' }) {
+  const fill = colorHex(color);
+  const text = initials(name).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const half = size / 2;
+  const backdrop = shape === 'circle'
+    ? `<circle cx="${half}" cy="${half}" r="${half}" fill="${fill}"/>`
+    : `<rect width="${size}" height="${size}" fill="${fill}"/>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+    backdrop +
+    `<text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="system-ui, sans-serif" font-weight="700" font-size="${Math.round(size * 0.4)}" fill="${textColor(fill)}">${text}</text>` +
+    '</svg>';
+}
+
+/**
+ * Read the manifest from an avatars directory ({} when there is none yet)
+ */
+export function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Look up stored avatars for the API, re-reading the manifest whenever the
+ * pipeline rewrites it
+ *
+ * @param {object} options
+ * @param {string} options.dir - Avatars directory
+ * @param {object} [options.logger] - Anything with warn (e.g. fastify.log)
+ */
+export function createAvatarStore({ dir, logger = console }) {
+  let manifest = {};
+  let manifestMtime = null;
+
+  const current = () => {
+    let mtime = null;
+    try {
+      mtime = fs.statSync(path.join(dir, MANIFEST_FILE)).mtimeMs;
+    } catch {
+      // Not downloaded yet - everyone gets a placeholder
+    }
+
+    if (mtime !== manifestMtime) {
+      try {
+        manifest = mtime === null ? {} : readManifest(dir);
+        manifestMtime = mtime;
+      } catch (error) {
+        // Keep the last good manifest while a half-written one is replaced
+        logger.warn(`⚠️  Could not read avatar manifest: ${error.message}`);
+      }
+    }
+    return manifest;
+  };
+
+  return {
+    /**
+     * A stored variant, or null when the person has no downloaded avatar
+     *
+     * @returns {{ filePath: string, hash: string } | null}
+     */
+    find(id, { size = DEFAULT_AVATAR_SIZE, shape = 'square' } = {}) {
+      const entry = current()[id];
+      if (!entry) return null;
+
+      const filePath = path.join(dir, variantFileName(id, size, shape));
+      return fs.existsSync(filePath) ? { filePath, hash: entry.hash } : null;
+    }
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Team Marker Clusters
+ *
+ * Groups nearby members into clusters per zoom level with supercluster,
+ * built once per team.json version by the data store. Each cluster carries
+ * what the map needs to draw a bubble without fetching its members: the
+ * member count, a centroid, the most common teams and a few member ids to
+ * show avatars for.
+ */
+
+import Supercluster from 'supercluster';
+
+// Tuned for Leaflet's 256px tiles: members closer than ~50px merge
+const CLUSTER_OPTIONS = {
+  radius: 50,
+  extent: 256,
+  maxZoom: 16
+};
+
+const SAMPLE_AVATARS = 4;
+const TOP_TEAMS = 3;
+
+// Member fields sent with unclustered points - enough for a marker, its
+// popup and analytics
+export const CLUSTER_MEMBER_FIELDS = [
+  'id', 'name', 'role', 'avatar', 'color', 'country', 'location',
+  'locationLabel', 'formattedAddress', 'locationStatus', 'latitude', 'longitude', 'teams'
+];
+
+/**
+ * Build the cluster index for a team
+ *
+ * Hidden members and members without coordinates are left out.
+ *
+ * @param {object[]} members - team.json members
+ */
+export function createClusterIndex(members) {
+  const points = members
+    .filter(m => m.latitude != null && m.longitude != null && !m.hidden)
+    .map(member => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [member.longitude, member.latitude] },
+      properties: { member }
+    }));
+
+  const summarize = (member) =>
+    Object.fromEntries(CLUSTER_MEMBER_FIELDS.map(field => [field, member[field]]));
+
+  const index = new Supercluster({
+    ...CLUSTER_OPTIONS,
+    // Per-point summary, merged upwards into each cluster
+    map: ({ member }) => ({
+      teams: Object.fromEntries(member.teams.map(team => [team.name, 1])),
+      // Ids, not avatar URLs - faces are served by GET /api/avatars/:id
+      memberIds: member.avatar ? [member.id] : []
+    }),
+    // `accumulated` is a shallow copy of a child's properties, so replace
+    // nested objects rather than mutating them
+    reduce: (accumulated, props) => {
+      accumulated.teams = { ...accumulated.teams };
+      Object.entries(props.teams).forEach(([name, count]) => {
+        accumulated.teams[name] = (accumulated.teams[name] || 0) + count;
+      });
+      accumulated.memberIds = [...accumulated.memberIds, ...props.memberIds].slice(0, SAMPLE_AVATARS);
+    }
+  });
+  index.load(points);
+
+  return {
+    /**
+     * Clusters and single members inside a bbox at a zoom level
+     *
+     * @param {{ west: number, south: number, east: number, north: number }} bbox
+     * @param {number} zoom - Map zoom (fractional zooms are floored)
+     */
+    getClusters({ west, south, east, north }, zoom) {
+      return index.getClusters([west, south, east, north], Math.floor(zoom)).map(feature => {
+        const [longitude, latitude] = feature.geometry.coordinates;
+
+        if (!feature.properties.cluster) {
+          const { member } = feature.properties;
+          return {
+            type: 'member',
+            id: `member-${member.id}`,
+            latitude,
+            longitude,
+            member: summarize(member)
+          };
+        }
+
+        const { cluster_id: clusterId, point_count: count, teams, memberIds } = feature.properties;
+        const expansionZoom = index.getClusterExpansionZoom(clusterId);
+
+        return {
+          type: 'cluster',
+          id: `cluster-${clusterId}`,
+          clusterId,
+          latitude,
+          longitude,
+          count,
+          // null when zooming in never splits it (everyone at one spot)
+          expansionZoom: expansionZoom > CLUSTER_OPTIONS.maxZoom ? null : expansionZoom,
+          topTeams: Object.entries(teams)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, TOP_TEAMS)
+            .map(([name, teamCount]) => ({ name, count: teamCount })),
+          sampleMemberIds: memberIds
+        };
+      });
+    },
+
+    /**
+     * Members inside a cluster - for clusters that can't be split by
+     * zooming because everyone shares one location
+     *
+     * @returns {object[]|null} null when the cluster id is unknown
+     */
+    getMembers(clusterId, limit = 100) {
+      try {
+        return index.getLeaves(clusterId, limit).map(leaf => summarize(leaf.properties.member));
+      } catch {
+        return null;
+      }
+    }
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Applicant Connections
+ *
+ * The teammates the map draws lines to from each of the applicant's
+ * locations, with what the labels need: great-circle distance, the
+ * time-zone difference and shared working hours. The lines themselves are
+ * drawn by the frontend.
+ *
+ * Three ways to pick who is connected:
+ *   closest  the `limit` nearest teammates to each location
+ *   team     everyone in the given teams
+ *   members  the given member ids
+ *
+ * Every connection carries a `weight` (share of the working day both are
+ * working, 0-1) for heat-weighted lines.
+ */
+
+import { haversineKm } from '../utils/geo.js';
+import { timezoneAt, utcOffsetMinutes, formatUtcOffset } from '../utils/timezones.js';
+import { sharedWorkingHours, parseClockTime, DEFAULT_WORKING_HOURS } from './workingHours.js';
+import { splitList, badRequest } from './teamQuery.js';
+
+export const CONNECTION_MODES = ['closest', 'team', 'members'];
+
+// Member fields sent with each connection
+const MEMBER_FIELDS = ['id', 'name', 'role', 'color', 'country', 'location', 'latitude', 'longitude', 'timezone'];
+
+const summarize = (member) =>
+  Object.fromEntries(MEMBER_FIELDS.map(field => [field, member[field]]));
+
+const round = (km) => Math.round(km * 10) / 10;
+
+/**
+ * Who to connect to one location
+ */
+function pickMembers(location, { mode, members, spatial, limit, team, ids }) {
+  if (mode === 'closest') {
+    return spatial.nearest({ lat: location.latitude, lng: location.longitude, limit }).map(({ member }) => member);
+  }
+
+  const onMap = members.filter(m => !m.hidden && m.latitude != null && m.longitude != null);
+  if (mode === 'team') {
+    return onMap.filter(m => m.teams.some(t => team.includes(t.slug)));
+  }
+  return onMap.filter(m => ids.includes(m.id));
+}
+
+/**
+ * Connections from every applicant location
+ *
+ * @param {object} applicant - applicant.json
+ * @param {object[]} members - team.json members
+ * @param {object} options
+ * @param {object} options.spatial - The team's spatial index (closest mode)
+ * @param {'closest'|'team'|'members'} [options.mode]
+ * @param {number} [options.limit] - Teammates per location in closest mode
+ * @param {string} [options.team] - Comma-separated team slugs (team mode)
+ * @param {string} [options.ids] - Comma-separated member ids (members mode)
+ * @param {{ start: string, end: string }} [options.hours] - Local working hours
+ * @param {Date} [options.date] - Day to take UTC offsets on
+ */
+export function applicantConnections(applicant, members, {
+  spatial,
+  mode = 'closest',
+  limit = 5,
+  team,
+  ids,
+  hours = DEFAULT_WORKING_HOURS,
+  date = new Date()
+}) {
+  const teamSlugs = splitList(team);
+  const memberIds = splitList(ids).map(Number);
+  if (mode === 'team' && teamSlugs.length === 0) throw badRequest('team mode needs team=<slug,...>');
+  if (mode === 'members' && (memberIds.length === 0 || memberIds.some(Number.isNaN))) {
+    throw badRequest('members mode needs ids=<id,...>');
+  }
+
+  let workday = parseClockTime(hours.end) - parseClockTime(hours.start);
+  if (workday <= 0) workday += 24 * 60;
+  const workdayHours = workday / 60;
+
+  return applicant.locations.map(location => {
+    const timezone = location.timezone ?? timezoneAt(location.latitude, location.longitude);
+    const locationOffset = utcOffsetMinutes(timezone, date);
+
+    const connections = pickMembers(location, { mode, members, spatial, limit, team: teamSlugs, ids: memberIds })
+      .map(member => {
+        const memberOffset = member.timezone ? utcOffsetMinutes(member.timezone, date) : null;
+        const overlapHours = sharedWorkingHours(timezone, member.timezone, { hours, date });
+
+        return {
+          member: summarize(member),
+          distanceKm: round(haversineKm(location.latitude, location.longitude, member.latitude, member.longitude)),
+          // Positive when the teammate's clock is ahead of the applicant's
+          offsetMinutes: memberOffset != null && locationOffset != null ? memberOffset - locationOffset : null,
+          utcOffset: formatUtcOffset(memberOffset),
+          overlapHours,
+          weight: overlapHours != null ? Math.round((overlapHours / workdayHours) * 100) / 100 : 0
+        };
+      })
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    return {
+      location: {
+        city: location.city,
+        countryCode: location.countryCode,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        timezone,
+        utcOffset: formatUtcOffset(locationOffset),
+        isPrimary: location.isPrimary
+      },
+      connections
+    };
+  });
+}
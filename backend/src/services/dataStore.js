@@ -0,0 +1,170 @@
+/**
+ * File-Backed Data Store
+ *
+ * Serves a JSON data file (team.json, applicant.json) from memory and
+ * reloads it whenever the file changes on disk, so a pipeline run shows up
+ * without restarting the API. Every reload is re-validated against the
+ * document's schema; an invalid or half-written file is logged and ignored,
+ * and the last good version keeps being served.
+ *
+ * Each loaded version carries an ETag (hash of the file contents) and a
+ * lastUpdated timestamp so HTTP clients can revalidate with If-None-Match.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { assertValid } from '../schemas/index.js';
+
+/**
+ * Create a store for one data file
+ *
+ * @param {object} options
+ * @param {'team'|'applicant'} options.kind - Schema to validate against
+ * @param {string} options.filePath - JSON file to serve
+ * @param {boolean} [options.watch] - Reload when the file changes
+ * @param {number} [options.debounceMs] - Wait for writes to settle before reloading
+ * @param {object} [options.logger] - Anything with info/warn/error (e.g. fastify.log)
+ * @param {Object<string, (data: object) => any>} [options.indexes] - Built from each
+ *   new version as it loads and exposed as `snapshot.indexes`
+ */
+export function createDataStore({
+  kind,
+  filePath,
+  indexes = {},
+  watch = true,
+  debounceMs = 100,
+  logger = console
+}) {
+  const fileName = path.basename(filePath);
+  let current = null;
+  let lastError = null;
+  let version = 0;
+  let watcher = null;
+  let timer = null;
+
+  /**
+   * Read, parse and validate the file; returns the new snapshot or null
+   */
+  const load = () => {
+    try {
+      const raw = fs.readFileSync(filePath);
+      const hash = crypto.createHash('sha1').update(raw).digest('base64url');
+
+      // Editors and atomic writes can fire several events for one save
+      if (current && current.hash === hash) return current;
+
+      const data = assertValid(kind, JSON.parse(raw.toString('utf-8')), fileName);
+      const { mtime } = fs.statSync(filePath);
+      const built = Object.fromEntries(
+        Object.entries(indexes).map(([name, build]) => [name, build(data)])
+      );
+
+      version++;
+      current = {
+        data,
+        indexes: built,
+        hash,
+        version,
+        etag: `W/"${hash}"`,
+        lastUpdated: data.metadata?.lastUpdated ?? mtime.toISOString(),
+        loadedAt: new Date().toISOString()
+      };
+      lastError = null;
+      return current;
+    } catch (error) {
+      lastError = error;
+      return null;
+    }
+  };
+
+  const reload = () => {
+    const previous = current;
+    const snapshot = load();
+
+    if (!snapshot) {
+      logger.warn(`⚠️  Could not reload ${fileName}, keeping the last good version: ${lastError.message}`);
+    } else if (snapshot !== previous) {
+      logger.info(`🔄 Reloaded ${fileName} (version ${snapshot.version})`);
+    }
+  };
+
+  if (!load()) {
+    logger.error(`❌ Could not load ${fileName}: ${lastError.message}`);
+  }
+
+  if (watch) {
+    // Watch the directory - atomic writes replace the file, which would
+    // silently end a watch on the file itself
+    watcher = fs.watch(path.dirname(filePath), (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+      clearTimeout(timer);
+      timer = setTimeout(reload, debounceMs);
+    });
+    watcher.unref();
+  }
+
+  return {
+    kind,
+    filePath,
+
+    /**
+     * The current snapshot: { data, indexes, etag, lastUpdated, version, loadedAt }
+     *
+     * Throws when the file has never loaded successfully.
+     */
+    get() {
+      if (!current) throw lastError;
+      return current;
+    },
+
+    reload,
+
+    close() {
+      clearTimeout(timer);
+      watcher?.close();
+    }
+  };
+}
+
+/**
+ * Set caching headers for a snapshot and answer 304 when the client's copy
+ * is still current
+ *
+ * @returns {boolean} true when a 304 was sent and the handler should stop
+ */
+export function replyNotModified(request, reply, snapshot) {
+  reply
+    .header('ETag', snapshot.etag)
+    .header('Last-Modified', new Date(snapshot.lastUpdated).toUTCString())
+    .header('Cache-Control', 'no-cache');
+
+  const ifNoneMatch = request.headers['if-none-match'];
+  if (!ifNoneMatch) return false;
+
+  const matches = ifNoneMatch
+    .split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === '*' || tag === snapshot.etag || `W/${tag}` === snapshot.etag);
+
+  if (matches) reply.code(304).send();
+  return matches;
+}
+
+/**
+ * Caching identity for a response built from several data files, so a
+ * change to any of them invalidates it
+ *
+ * @param {object[]} snapshots - Store snapshots the response depends on
+ * @param {string} [variant] - Anything else the response varies by (e.g. a date)
+ * @returns {{ etag: string, lastUpdated: string }} Usable with replyNotModified
+ */
+export function combineSnapshots(snapshots, variant) {
+  const parts = snapshots.map(snapshot => snapshot.hash);
+  if (variant) parts.push(variant);
+
+  return {
+    etag: `W/"${parts.join('.')}"`,
+    lastUpdated: snapshots.map(snapshot => snapshot.lastUpdated).sort().pop()
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * Persistent Geocode Cache
+ *
+ * Stores geocoding results on disk, keyed by the normalized search query,
+ * so rate-limited API calls only happen for places we have never seen.
+ *
+ * Each entry records the provider that produced it, when it was cached and
+ * a confidence score. Entries older than the TTL are treated as misses and
+ * dropped on save. Manual override entries never expire and always win.
+ *
+ * Usage:
+ *   npm run geocode-cache -- --list
+ *   npm run geocode-cache -- --prune
+ *   npm run geocode-cache -- --override "north pole" --lat=64.75 --lng=-147.35 --label "North Pole, Alaska"
+ *   npm run geocode-cache -- --remove "north pole"
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { GEOCODE_CACHE_PATH } from '../config/paths.js';
+import { isMainModule } from '../utils/cli.js';
+
+const CACHE_VERSION = 1;
+const DEFAULT_TTL_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a search query into a cache key
+ * ("  Seattle ,WA, US" and "seattle, wa, us" share an entry)
+ */
+export function normalizeQuery(query) {
+  return String(query)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/\s*,\s*/g, ', ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read the cache file, starting empty when it doesn't exist yet
+ */
+function readCacheFile(cachePath) {
+  if (!fs.existsSync(cachePath)) return {};
+
+  const data = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+  return data.entries || {};
+}
+
+/**
+ * Create a geocode cache backed by a JSON file
+ *
+ * @param {object} [options]
+ * @param {string} [options.cachePath] - Cache file location
+ * @param {number} [options.ttlDays] - Age after which non-override entries expire
+ */
+export function createGeocodeCache({
+  cachePath = GEOCODE_CACHE_PATH,
+  ttlDays = Number(process.env.GEOCODE_CACHE_TTL_DAYS) || DEFAULT_TTL_DAYS
+} = {}) {
+  const entries = readCacheFile(cachePath);
+  const stats = { hits: 0, misses: 0, writes: 0 };
+
+  const isExpired = (entry) =>
+    !entry.override && Date.now() - Date.parse(entry.cachedAt) > ttlDays * DAY_MS;
+
+  return {
+    stats,
+
+    get size() {
+      return Object.keys(entries).length;
+    },
+
+    /**
+     * Look up a query; expired entries count as misses
+     */
+    get(query) {
+      const entry = entries[normalizeQuery(query)];
+
+      if (!entry || isExpired(entry)) {
+        stats.misses++;
+        return null;
+      }
+
+      stats.hits++;
+      return entry;
+    },
+
+    /**
+     * Store a provider result; never replaces a manual override
+     */
+    set(query, result, { provider, confidence = null }) {
+      const key = normalizeQuery(query);
+      if (entries[key]?.override) return entries[key];
+
+      entries[key] = {
+        query,
+        lat: result.lat,
+        lng: result.lng,
+        formattedAddress: result.formattedAddress ?? null,
+        city: result.city ?? null,
+        country: result.country ?? null,
+        countryCode: result.countryCode ?? null,
+        provider,
+        confidence,
+        cachedAt: new Date().toISOString(),
+        override: false
+      };
+      stats.writes++;
+      return entries[key];
+    },
+
+    /**
+     * Pin a query to hand-picked coordinates
+     */
+    setOverride(query, { lat, lng, formattedAddress = null, countryCode = null }) {
+      const key = normalizeQuery(query);
+
+      entries[key] = {
+        query,
+        lat,
+        lng,
+        formattedAddress,
+        city: null,
+        country: null,
+        countryCode,
+        provider: 'manual',
+        confidence: 1,
+        cachedAt: new Date().toISOString(),
+        override: true
+      };
+      stats.writes++;
+      return entries[key];
+    },
+
+    remove(query) {
+      const key = normalizeQuery(query);
+      const existed = key in entries;
+      delete entries[key];
+      return existed;
+    },
+
+    entries() {
+      return Object.entries(entries).map(([key, entry]) => ({ key, ...entry, expired: isExpired(entry) }));
+    },
+
+    /**
+     * Drop expired entries, returning how many were removed
+     */
+    prune() {
+      let removed = 0;
+      Object.entries(entries).forEach(([key, entry]) => {
+        if (isExpired(entry)) {
+          delete entries[key];
+          removed++;
+        }
+      });
+      return removed;
+    },
+
+    /**
+     * Write the cache back to disk (expired entries are pruned first)
+     */
+    save() {
+      this.prune();
+
+      const sorted = Object.fromEntries(
+        Object.keys(entries).sort().map(key => [key, entries[key]])
+      );
+
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      fs.writeFileSync(
+        cachePath,
+        JSON.stringify({ version: CACHE_VERSION, ttlDays, entries: sorted }, null, 2) + '\n'
+      );
+    }
+  };
+}
+
+// Allow running as standalone script
+if (isMainModule(import.meta.url)) {
+  dotenv.config();
+
+  const { values } = parseArgs({
+    options: {
+      list: { type: 'boolean', default: false },
+      prune: { type: 'boolean', default: false },
+      override: { type: 'string' },
+      remove: { type: 'string' },
+      lat: { type: 'string' },
+      lng: { type: 'string' },
+      label: { type: 'string' },
+      'country-code': { type: 'string' }
+    }
+  });
+
+  try {
+    const cache = createGeocodeCache();
+
+    if (values.override) {
+      const lat = Number(values.lat);
+      const lng = Number(values.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        throw new Error('--override needs numeric --lat and --lng');
+      }
+
+      cache.setOverride(values.override, {
+        lat,
+        lng,
+        formattedAddress: values.label ?? null,
+        countryCode: values['country-code'] ?? null
+      });
+      cache.save();
+      console.log(`📌 Override saved for "${normalizeQuery(values.override)}"`);
+    } else if (values.remove) {
+      const removed = cache.remove(values.remove);
+      cache.save();
+      console.log(removed
+        ? `🗑️  Removed "${normalizeQuery(values.remove)}"`
+        : `⚠️  No cache entry for "${normalizeQuery(values.remove)}"`);
+    } else if (values.prune) {
+      const removed = cache.prune();
+      cache.save();
+      console.log(`🧹 Pruned ${removed} expired entries (${cache.size} left)`);
+    } else {
+      const entries = cache.entries();
+      console.log(`🗄️  Geocode cache: ${entries.length} entries\n`);
+      entries.forEach(entry => {
+        const flags = [entry.override ? '📌 override' : entry.provider, entry.expired ? '⌛ expired' : null]
+          .filter(Boolean)
+          .join(', ');
+        console.log(`   ${entry.key} → ${entry.lat}, ${entry.lng} (${flags})`);
+      });
+    }
+  } catch (error) {
+    console.error('❌ Geocode cache error:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * Offline Gazetteer Geocoding Provider
+ *
+ * Resolves place names against a bundled city list so the pipeline can run
+ * in CI or on air-gapped machines. Two file formats are understood:
+ *
+ * - CSV with a header row (the bundled src/data/gazetteer/cities15000.csv):
+ *   name,asciiname,alternatenames,latitude,longitude,country_code,admin1,population,timezone
+ * - A raw GeoNames dump such as cities15000.txt (tab-separated, no header),
+ *   with GeoNames' admin1CodesASCII.txt beside it - the dump only has region
+ *   codes ("WA", "ENG"), and region matching needs their names
+ *
+ * Lookups try every comma-separated part of the query as a city name, then
+ * as a region (admin1) name, preferring the most populous match in the
+ * member's country. The other parts of the query narrow a city match down
+ * to their region ("Portland, ME" is Maine's Portland, not Oregon's); when
+ * one names neither a region nor a country the match is returned with a
+ * confidence below the chain's threshold, so a remote provider gets a say.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { GAZETTEER_PATH } from '../../config/paths.js';
+import { foldName, haversineKm } from '../../utils/geo.js';
+import { loadCountries } from '../../utils/countries.js';
+
+// Postal abbreviations for the regions people write them for, as GeoNames
+// admin1 names
+const REGION_ABBREVIATIONS = {
+  US: {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+    CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+    FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+    IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+    ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+    NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+    NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+    PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+    TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+    WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+  },
+  CA: {
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+    NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories',
+    NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Québec',
+    SK: 'Saskatchewan', YT: 'Yukon'
+  }
+};
+
+// Country names people use that aren't the ISO short name
+const COUNTRY_ALIASES = ['uk', 'usa', 'america', 'the netherlands'];
+
+// Region names for a GeoNames dump, downloaded alongside it
+const ADMIN1_CODES_FILE = 'admin1CodesASCII.txt';
+
+// Below the chain's default GEOCODER_MIN_CONFIDENCE (0.6)
+const UNMATCHED_QUALIFIER_CONFIDENCE = 0.4;
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * GeoNames admin1 code -> region name, keyed "US.WA"
+ */
+function readAdmin1Names(gazetteerPath) {
+  const admin1Path = path.join(path.dirname(gazetteerPath), ADMIN1_CODES_FILE);
+  if (!fs.existsSync(admin1Path)) {
+    throw new Error(`${ADMIN1_CODES_FILE} not found next to ${gazetteerPath} (download it from https://download.geonames.org/export/dump/)`);
+  }
+
+  return new Map(fs.readFileSync(admin1Path, 'utf-8').split('\n').filter(Boolean).map(line => {
+    const [code, name] = line.split('\t');
+    return [code, name];
+  }));
+}
+
+/**
+ * Parse the gazetteer file into city records
+ */
+function readGazetteer(gazetteerPath) {
+  const lines = fs.readFileSync(gazetteerPath, 'utf-8').split('\n').filter(Boolean);
+
+  // Raw GeoNames dump (see https://download.geonames.org/export/dump/readme.txt)
+  if (gazetteerPath.endsWith('.txt')) {
+    const admin1Names = readAdmin1Names(gazetteerPath);
+    return lines.map(line => {
+      const cols = line.split('\t');
+      return {
+        name: cols[1],
+        asciiname: cols[2],
+        alternatenames: cols[3] ? cols[3].split(',') : [],
+        latitude: Number(cols[4]),
+        longitude: Number(cols[5]),
+        countryCode: cols[8],
+        admin1: admin1Names.get(`${cols[8]}.${cols[10]}`) ?? cols[10],
+        population: Number(cols[14]) || 0,
+        timezone: cols[17]
+      };
+    });
+  }
+
+  const header = parseCsvLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const row = Object.fromEntries(parseCsvLine(line).map((value, i) => [header[i], value]));
+    return {
+      name: row.name,
+      asciiname: row.asciiname,
+      alternatenames: row.alternatenames ? row.alternatenames.split('|') : [],
+      latitude: Number(row.latitude),
+      longitude: Number(row.longitude),
+      countryCode: row.country_code,
+      admin1: row.admin1,
+      population: Number(row.population) || 0,
+      timezone: row.timezone
+    };
+  });
+}
+
+/**
+ * Build name lookups over the city records
+ */
+function buildIndex(cities) {
+  const byName = new Map();
+  const byAdmin1 = new Map();
+
+  const add = (map, key, city) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(city);
+  };
+
+  cities.forEach(city => {
+    const names = new Set([city.name, city.asciiname, ...city.alternatenames].map(foldName));
+    names.forEach(name => add(byName, name, city));
+    add(byAdmin1, foldName(city.admin1), city);
+  });
+
+  return { cities, byName, byAdmin1 };
+}
+
+const mostPopulous = (cities) =>
+  cities.reduce((best, city) => (city.population > best.population ? city : best));
+
+/**
+ * Folded admin1 names a query part could mean: itself, plus the region its
+ * abbreviation stands for ("OR" -> "oregon")
+ */
+function regionNames(part, countryCode) {
+  const names = [foldName(part)];
+  const countries = countryCode ? [countryCode] : Object.keys(REGION_ABBREVIATIONS);
+  countries.forEach(code => {
+    const region = REGION_ABBREVIATIONS[code]?.[part.toUpperCase()];
+    if (region) names.push(foldName(region));
+  });
+  return names;
+}
+
+let countryNames = null;
+
+/**
+ * True when a query part names a country ("Poland", "UK", "ES")
+ */
+function isCountryName(part) {
+  if (!countryNames) {
+    countryNames = new Set(COUNTRY_ALIASES);
+    Object.entries(loadCountries()).forEach(([code, { name }]) => {
+      countryNames.add(foldName(code));
+      countryNames.add(foldName(name));
+    });
+  }
+  return countryNames.has(foldName(part));
+}
+
+/**
+ * Create the offline gazetteer provider
+ *
+ * @param {object} [options]
+ * @param {string} [options.gazetteerPath] - CSV or GeoNames .txt file
+ */
+export function createGazetteerProvider({
+  gazetteerPath = process.env.GAZETTEER_PATH || GAZETTEER_PATH
+} = {}) {
+  let index = null;
+
+  // Parse lazily so importing the provider stays cheap
+  const getIndex = () => {
+    if (!index) index = buildIndex(readGazetteer(gazetteerPath));
+    return index;
+  };
+
+  return {
+    name: 'gazetteer',
+    remote: false,
+
+    /**
+     * @param {string} query - e.g. "Seattle, WA, US"
+     * @param {object} [context]
+     * @param {string} [context.country] - ISO 3166-1 alpha-2 hint
+     */
+    async geocode(query, { country } = {}) {
+      const { byName, byAdmin1 } = getIndex();
+      const countryCode = /^[A-Z]{2}$/.test(country || '') ? country : null;
+
+      const parts = String(query)
+        .split(',')
+        .map(part => part.trim())
+        .filter(part => part && part.toUpperCase() !== countryCode);
+
+      const inCountry = (cities) =>
+        countryCode ? cities.filter(city => city.countryCode === countryCode) : cities;
+
+      // 1. City names, most specific part first, narrowed by the other parts
+      for (let i = 0; i < parts.length; i++) {
+        const matches = inCountry(byName.get(foldName(parts[i])) || []);
+        if (matches.length === 0) continue;
+
+        let candidates = matches;
+        let qualified = true;
+        parts.forEach((part, j) => {
+          if (j === i) return;
+
+          const names = regionNames(part, countryCode);
+          const inRegion = candidates.filter(city => names.includes(foldName(city.admin1)));
+          if (inRegion.length > 0) candidates = inRegion;
+          else if (!isCountryName(part)) qualified = false;
+        });
+
+        const city = mostPopulous(candidates);
+        return {
+          lat: city.latitude,
+          lng: city.longitude,
+          formattedAddress: [city.name, city.admin1, city.countryCode].filter(Boolean).join(', '),
+          city: city.name,
+          country: null,
+          countryCode: city.countryCode,
+          timezone: city.timezone,
+          confidence: qualified ? (countryCode ? 0.9 : 0.7) - i * 0.1 : UNMATCHED_QUALIFIER_CONFIDENCE
+        };
+      }
+
+      // 2. Region names - use the population-weighted centre of the region's cities
+      for (const part of parts) {
+        const matches = inCountry(regionNames(part, countryCode).flatMap(name => byAdmin1.get(name) || []));
+        if (matches.length === 0) continue;
+
+        const population = matches.reduce((sum, city) => sum + city.population, 0);
+        const weight = (city) => (population > 0 ? city.population : 1);
+        const totalWeight = population > 0 ? population : matches.length;
+        const lat = matches.reduce((sum, city) => sum + city.latitude * weight(city), 0) / totalWeight;
+        const lng = matches.reduce((sum, city) => sum + city.longitude * weight(city), 0) / totalWeight;
+
+        return {
+          lat,
+          lng,
+          formattedAddress: [matches[0].admin1, matches[0].countryCode].join(', '),
+          city: null,
+          country: null,
+          countryCode: matches[0].countryCode,
+          timezone: mostPopulous(matches).timezone,
+          confidence: 0.5
+        };
+      }
+
+      return null;
+    },
+
+    /**
+     * Nearest gazetteer city to a point
+     */
+    async reverse({ lat, lng }) {
+      const { cities } = getIndex();
+      let nearest = null;
+      let nearestKm = Infinity;
+
+      cities.forEach(city => {
+        const km = haversineKm(lat, lng, city.latitude, city.longitude);
+        if (km < nearestKm) {
+          nearest = city;
+          nearestKm = km;
+        }
+      });
+
+      if (!nearest) return null;
+
+      return {
+        lat: nearest.latitude,
+        lng: nearest.longitude,
+        formattedAddress: [nearest.name, nearest.admin1, nearest.countryCode].filter(Boolean).join(', '),
+        city: nearest.name,
+        country: null,
+        countryCode: nearest.countryCode,
+        timezone: nearest.timezone,
+        distanceKm: nearestKm,
+        // Far from any listed city means we're only guessing the area
+        confidence: Math.max(0, 1 - nearestKm / 200)
+      };
+    }
+  };
+}
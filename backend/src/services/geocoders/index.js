@@ -0,0 +1,152 @@
+/**
+ * Geocoder Provider Chain
+ *
+ * Builds a geocoder from a configurable list of providers, tried in order
+ * until one returns a result:
+ *
+ *   GEOCODER_PROVIDERS=cache,gazetteer,openstreetmap   (default)
+ *   GEOCODER_PROVIDERS=cache,gazetteer                 (offline / CI)
+ *
+ * `cache` is the persistent geocode cache; results from remote providers
+ * are written back to it. A result below GEOCODER_MIN_CONFIDENCE (e.g. a
+ * region-level gazetteer match) is held back while later providers get a
+ * chance, and only used if none of them answers. The last provider in the
+ * chain always has the final word.
+ *
+ * Reverse lookups ask the remote providers first and only fall back to the
+ * offline ones when none of them answers, since the gazetteer's nearest
+ * city says nothing about borders.
+ *
+ * Every provider returns the same shape:
+ *   { lat, lng, formattedAddress, city, country, countryCode, confidence }
+ */
+
+import { createGeocodeCache } from '../geocodeCache.js';
+import { createGazetteerProvider } from './gazetteer.js';
+import { createOpenStreetMapProvider } from './openstreetmap.js';
+
+const DEFAULT_PROVIDERS = 'cache,gazetteer,openstreetmap';
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+const PROVIDER_FACTORIES = {
+  gazetteer: createGazetteerProvider,
+  openstreetmap: createOpenStreetMapProvider
+};
+
+/**
+ * Parse a comma-separated provider list
+ */
+export function parseProviderList(value = process.env.GEOCODER_PROVIDERS || DEFAULT_PROVIDERS) {
+  return value
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Create a geocoder that walks the provider chain
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.providers] - Provider names in lookup order
+ * @param {object} [options.cache] - Geocode cache (only used when 'cache' is in the chain)
+ * @param {number} [options.minConfidence] - Confidence needed to stop walking the chain
+ */
+export function createGeocoder({
+  providers = parseProviderList(),
+  cache,
+  minConfidence = Number(process.env.GEOCODER_MIN_CONFIDENCE) || DEFAULT_MIN_CONFIDENCE
+} = {}) {
+  const useCache = providers.includes('cache');
+  if (useCache && !cache) cache = createGeocodeCache();
+
+  const chain = providers
+    .filter(name => name !== 'cache')
+    .map(name => {
+      const factory = PROVIDER_FACTORIES[name];
+      if (!factory) {
+        throw new Error(`Unknown geocoding provider "${name}" (available: cache, ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+      }
+      return factory();
+    });
+
+  return {
+    providers,
+    cache: useCache ? cache : null,
+
+    /**
+     * Geocode a query, returning null when no provider finds it
+     *
+     * @param {string} query - Search string, e.g. "Seattle, WA, US"
+     * @param {object} [context] - Hints for offline providers ({ country })
+     * @returns {Promise<object|null>} Result plus `provider` and `cached`
+     */
+    async geocode(query, context = {}) {
+      if (useCache) {
+        const hit = cache.get(query);
+        if (hit) {
+          return {
+            lat: hit.lat,
+            lng: hit.lng,
+            formattedAddress: hit.formattedAddress,
+            city: hit.city,
+            country: hit.country,
+            countryCode: hit.countryCode,
+            confidence: hit.confidence,
+            provider: hit.provider,
+            cached: true
+          };
+        }
+      }
+
+      let fallback = null;
+      const errors = [];
+
+      for (const [index, provider] of chain.entries()) {
+        try {
+          const result = await provider.geocode(query, context);
+          if (!result) continue;
+
+          const found = { ...result, provider: provider.name, cached: false };
+          const isLast = index === chain.length - 1;
+
+          if (!isLast && result.confidence != null && result.confidence < minConfidence) {
+            fallback = fallback || found;
+            continue;
+          }
+
+          if (useCache && provider.remote) {
+            cache.set(query, result, { provider: provider.name, confidence: result.confidence });
+          }
+          return found;
+        } catch (error) {
+          errors.push(`${provider.name}: ${error.message}`);
+        }
+      }
+
+      if (fallback) return fallback;
+      if (errors.length > 0) throw new Error(errors.join('; '));
+      return null;
+    },
+
+    /**
+     * Reverse geocode a point with the first provider that answers, remote
+     * providers first
+     */
+    async reverse({ lat, lng }) {
+      const errors = [];
+      const ordered = [...chain.filter(provider => provider.remote), ...chain.filter(provider => !provider.remote)];
+
+      for (const provider of ordered) {
+        try {
+          const result = await provider.reverse({ lat, lng });
+          if (result) return { ...result, provider: provider.name };
+        } catch (error) {
+          errors.push(`${provider.name}: ${error.message}`);
+        }
+      }
+
+      if (errors.length > 0) throw new Error(errors.join('; '));
+      return null;
+    }
+  };
+}
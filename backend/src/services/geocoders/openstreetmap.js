@@ -0,0 +1,70 @@
+/**
+ * OpenStreetMap (Nominatim) Geocoding Provider
+ *
+ * Free, no API key needed - but rate limited to one request per second,
+ * which this provider enforces itself so callers don't need to sleep.
+ */
+
+import NodeGeocoder from 'node-geocoder';
+
+// Delay helper to respect rate limits
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Map a node-geocoder result onto the shared provider result shape
+ */
+function toResult(result, raw) {
+  return {
+    lat: result.latitude,
+    lng: result.longitude,
+    formattedAddress: result.formattedAddress,
+    city: result.city,
+    country: result.country,
+    countryCode: result.countryCode,
+    // Nominatim's importance (0-1) is the closest thing it has to a confidence score
+    confidence: raw?.importance ?? null
+  };
+}
+
+/**
+ * Create the Nominatim provider
+ *
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @param {number} [options.minIntervalMs] - Minimum gap between requests
+ */
+export function createOpenStreetMapProvider({ timeout = 5000, minIntervalMs = 1000 } = {}) {
+  const geocoder = NodeGeocoder({
+    provider: 'openstreetmap',
+    timeout,
+    httpAdapter: 'https',
+  });
+
+  let lastRequestAt = 0;
+
+  // Be nice to the free API - space requests out
+  const throttle = async () => {
+    const wait = lastRequestAt + minIntervalMs - Date.now();
+    if (wait > 0) await delay(wait);
+    lastRequestAt = Date.now();
+  };
+
+  return {
+    name: 'openstreetmap',
+    remote: true,
+
+    async geocode(query) {
+      await throttle();
+      const results = await geocoder.geocode(query);
+      if (!results || results.length === 0) return null;
+      return toResult(results[0], results.raw?.[0]);
+    },
+
+    async reverse({ lat, lng }) {
+      await throttle();
+      const results = await geocoder.reverse({ lat, lon: lng });
+      if (!results || results.length === 0) return null;
+      return toResult(results[0], results.raw);
+    }
+  };
+}
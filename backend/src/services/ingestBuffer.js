@@ -0,0 +1,98 @@
+/**
+ * Ingest Disk Buffer
+ *
+ * Holds analytics requests the upstream couldn't take (network down, 5xx)
+ * so they can be replayed later instead of lost. Each request is one JSON
+ * file named by arrival time, so replaying in name order keeps events in
+ * the order they were captured.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Create a buffer in a directory (created on first use)
+ *
+ * @param {object} options
+ * @param {string} options.dir - Where buffered requests are kept
+ * @param {number} [options.maxFiles] - Refuse new requests beyond this many
+ * @param {object} [options.logger] - Anything with info/warn (e.g. fastify.log)
+ */
+export function createIngestBuffer({ dir, maxFiles = 5000, logger = console }) {
+  let flushing = false;
+
+  const files = () => {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort();
+  };
+
+  return {
+    size: () => files().length,
+
+    /**
+     * Keep a request for later
+     *
+     * @param {{ path: string, query: string, contentType: string, body: Buffer }} request
+     * @returns {boolean} false when the buffer is full
+     */
+    save({ path: requestPath, query, contentType, body }) {
+      if (files().length >= maxFiles) return false;
+
+      fs.mkdirSync(dir, { recursive: true });
+      const name = `${Date.now()}-${crypto.randomUUID()}.json`;
+      const entry = {
+        path: requestPath,
+        query,
+        contentType,
+        body: body.toString('base64'),
+        receivedAt: new Date().toISOString()
+      };
+
+      // Write then rename, so a flush never reads a half-written file
+      const tmp = path.join(dir, `${name}.tmp`);
+      fs.writeFileSync(tmp, JSON.stringify(entry));
+      fs.renameSync(tmp, path.join(dir, name));
+      return true;
+    },
+
+    /**
+     * Replay buffered requests oldest first, stopping at the first failure
+     * so nothing is reordered
+     *
+     * @param {(request: object) => Promise<boolean>} send - Resolves true once delivered
+     * @returns {Promise<number>} How many were delivered
+     */
+    async flush(send) {
+      if (flushing) return 0;
+      flushing = true;
+
+      let delivered = 0;
+      try {
+        for (const name of files()) {
+          const file = path.join(dir, name);
+          let entry;
+          try {
+            entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+          } catch (error) {
+            // Never let one bad file block everything queued behind it
+            logger.warn(`⚠️  Dropping unreadable buffered request ${name}: ${error.message}`);
+            fs.unlinkSync(file);
+            continue;
+          }
+
+          const ok = await send({ ...entry, body: Buffer.from(entry.body, 'base64') });
+          if (!ok) break;
+
+          fs.unlinkSync(file);
+          delivered++;
+        }
+      } finally {
+        flushing = false;
+      }
+
+      if (delivered > 0) logger.info(`📤 Replayed ${delivered} buffered analytics requests`);
+      return delivered;
+    }
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Ingest Payload Privacy
+ *
+ * Decodes analytics capture payloads (plain JSON, gzip, or the legacy
+ * base64 form encoding) so client IP addresses can be removed before they
+ * leave our server. Payloads that can't be decoded are forwarded as they
+ * are - they still never carry the client's IP in a header.
+ */
+
+import zlib from 'zlib';
+import crypto from 'crypto';
+
+export const IP_MODES = ['strip', 'hash'];
+
+/**
+ * Salted, truncated SHA-256 of an IP: stable enough to count distinct
+ * visitors, useless for finding them
+ */
+export function hashIp(ip, salt = '') {
+  return crypto.createHash('sha256').update(`${salt}${ip}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Parse a capture request body
+ *
+ * @param {Buffer} body
+ * @param {object} options
+ * @param {string} [options.contentType]
+ * @param {string} [options.compression] - The `compression` query parameter
+ * @param {number} options.maxDecompressedBytes - Refuse anything that inflates past this
+ * @returns {object|object[]|null} null when the body isn't something we can read
+ */
+export function decodePayload(body, { contentType = '', compression, maxDecompressedBytes }) {
+  try {
+    let text;
+    if (compression === 'gzip-js' || compression === 'gzip') {
+      text = zlib.gunzipSync(body, { maxOutputLength: maxDecompressedBytes }).toString('utf-8');
+    } else if (contentType.includes('application/x-www-form-urlencoded')) {
+      const data = new URLSearchParams(body.toString('utf-8')).get('data');
+      if (data == null) return null;
+      text = compression === 'base64' ? Buffer.from(data, 'base64').toString('utf-8') : data;
+    } else {
+      text = body.toString('utf-8');
+    }
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Events inside a capture payload: a single event, an array, or { batch }
+ */
+function eventsOf(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (Array.isArray(payload?.batch)) return payload.batch;
+  return payload && typeof payload === 'object' ? [payload] : [];
+}
+
+/**
+ * Remove IP addresses from every event (mutates the payload)
+ *
+ * With mode "hash" each event gets `$ip_hash` in place of `$ip`.
+ *
+ * @param {object|object[]} payload
+ * @param {object} options
+ * @param {'strip'|'hash'} options.mode
+ * @param {string} options.clientIp - Address the request came from
+ * @param {string} [options.salt]
+ */
+export function scrubIps(payload, { mode, clientIp, salt }) {
+  eventsOf(payload).forEach(event => {
+    if (!event || typeof event !== 'object') return;
+    delete event.ip;
+
+    const properties = event.properties && typeof event.properties === 'object' ? event.properties : null;
+    if (properties) delete properties.$ip;
+
+    if (mode === 'hash') {
+      event.properties = { ...properties, $ip_hash: hashIp(clientIp, salt) };
+    }
+  });
+
+  return payload;
+}
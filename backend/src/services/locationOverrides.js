@@ -0,0 +1,89 @@
+/**
+ * Manual Location Overrides
+ *
+ * Hand-resolved locations live in src/data/location-overrides.json and are
+ * applied by processTeamData.js on every run:
+ *
+ * {
+ *   "members":   { "<member id>":        { ...entry } },
+ *   "locations": { "<location|country>": { ...entry } }
+ * }
+ *
+ * An entry can carry any of:
+ *   latitude / longitude - explicit coordinates (both required)
+ *   label                - display label shown instead of the raw location
+ *   hidden               - true to keep the member off the map
+ *   accepted             - true to mark a flagged location as reviewed and fine
+ *   note                 - free text for whoever reviews it next
+ *
+ * Member entries win over location entries.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { LOCATION_OVERRIDES_PATH } from '../config/paths.js';
+
+export const locationKey = (location, country) => `${location}|${country}`;
+
+/**
+ * Read the overrides file, starting empty when it doesn't exist yet
+ */
+export function loadOverrides(overridesPath = LOCATION_OVERRIDES_PATH) {
+  if (!fs.existsSync(overridesPath)) {
+    return { members: {}, locations: {} };
+  }
+
+  const data = JSON.parse(fs.readFileSync(overridesPath, 'utf-8'));
+  return {
+    members: data.members || {},
+    locations: data.locations || {}
+  };
+}
+
+/**
+ * Write the overrides file back to disk
+ */
+export function saveOverrides(overrides, overridesPath = LOCATION_OVERRIDES_PATH) {
+  fs.mkdirSync(path.dirname(overridesPath), { recursive: true });
+  fs.writeFileSync(overridesPath, JSON.stringify(overrides, null, 2) + '\n');
+}
+
+/**
+ * Check an entry has everything it needs
+ */
+export function validateOverride(entry) {
+  const hasLat = entry.latitude != null;
+  const hasLng = entry.longitude != null;
+
+  if (hasLat !== hasLng) {
+    throw new Error('Override needs both latitude and longitude (or neither)');
+  }
+  if (hasLat && (Math.abs(entry.latitude) > 90 || Math.abs(entry.longitude) > 180)) {
+    throw new Error(`Override coordinates out of range: ${entry.latitude}, ${entry.longitude}`);
+  }
+  if (!hasLat && !entry.label && !entry.hidden && !entry.accepted) {
+    throw new Error('Override needs coordinates, a label, hidden or accepted');
+  }
+
+  return entry;
+}
+
+/**
+ * Find the override for a raw team member
+ *
+ * Member fields are layered over the member's location entry, so a member
+ * can e.g. add a label while still using the shared location coordinates.
+ *
+ * @returns {{ scope: 'member'|'location', entry: object }|null}
+ */
+export function findOverride(overrides, { squeakId, location, country }) {
+  const memberEntry = overrides.members[String(squeakId)];
+  const locationEntry = overrides.locations[locationKey(location, country)];
+
+  if (!memberEntry && !locationEntry) return null;
+
+  return {
+    scope: memberEntry ? 'member' : 'location',
+    entry: { ...locationEntry, ...memberEntry }
+  };
+}
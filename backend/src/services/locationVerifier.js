@@ -0,0 +1,134 @@
+/**
+ * Geocode Result Verification
+ *
+ * Scores how far a geocoded point can be trusted by checking it from two
+ * directions:
+ *
+ * - Country: the point is reverse geocoded and its country code compared
+ *   with the member's `country`.
+ * - Distance: the member's location name is resolved to its expected city
+ *   or admin area with the offline gazetteer, and the great-circle distance
+ *   from that area to the geocoded point is measured.
+ *
+ * A check only counts when its source is independent of the provider that
+ * placed the point - the gazetteer can't vouch for its own answers. Each
+ * check scores 0-1 and the overall score is their average. Results with
+ * nothing independent to check against are flagged as unverified, and
+ * results scoring below GEOCODE_VERIFY_THRESHOLD are flagged for review.
+ */
+
+import { createGazetteerProvider } from './geocoders/gazetteer.js';
+import { haversineKm } from '../utils/geo.js';
+
+const DEFAULT_THRESHOLD = 0.6;
+
+// Distance at which the distance score reaches zero, by how precisely the
+// expected area is known
+const TOLERANCE_KM = {
+  city: 100,
+  region: 400
+};
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Resolve where a location should be, using only the gazetteer
+ */
+async function expectedArea(gazetteer, query, country) {
+  const result = await gazetteer.geocode(query, { country });
+  if (!result) return null;
+
+  return {
+    lat: result.lat,
+    lng: result.lng,
+    label: result.formattedAddress,
+    precision: result.city ? 'city' : 'region'
+  };
+}
+
+/**
+ * Create a verifier for geocode results
+ *
+ * @param {object} options
+ * @param {object} options.geocoder - Provider chain, used for reverse lookups
+ * @param {object} [options.gazetteer] - Offline provider used to find the expected area
+ * @param {number} [options.threshold] - Scores below this are flagged
+ */
+export function createLocationVerifier({
+  geocoder,
+  gazetteer = createGazetteerProvider(),
+  threshold = Number(process.env.GEOCODE_VERIFY_THRESHOLD) || DEFAULT_THRESHOLD
+}) {
+  return {
+    threshold,
+
+    /**
+     * Score one geocoded location
+     *
+     * @param {object} loc
+     * @param {string} loc.query - The string that was geocoded
+     * @param {string} loc.country - Member's ISO alpha-2 country
+     * @param {{ lat: number, lng: number }} loc.geocoded - Point to verify
+     * @param {string} [loc.provider] - Provider that placed the point
+     * @returns {Promise<object>} { score, flagged, unverified, reasons, countryScore, distanceScore, ... }
+     */
+    async verify({ query, country, geocoded, provider }) {
+      const memberCountry = /^[A-Z]{2}$/.test(country || '') ? country : null;
+      const reasons = [];
+
+      // 1. Country agreement (skipped when the reverse lookup came from the
+      // same provider, e.g. the gazetteer when Nominatim is unreachable)
+      const reverse = await geocoder.reverse({ lat: geocoded.lat, lng: geocoded.lng });
+      const reverseCountry = reverse?.countryCode ? reverse.countryCode.toUpperCase() : null;
+      const independentReverse = reverse && reverse.provider !== provider;
+
+      let countryScore = null;
+      if (memberCountry && reverseCountry && independentReverse) {
+        countryScore = reverseCountry === memberCountry ? 1 : 0;
+        if (countryScore === 0) {
+          reasons.push(`point is in ${reverseCountry}, member is in ${memberCountry}`);
+        }
+      }
+
+      // 2. Distance to the expected admin area (the gazetteer's own pins
+      // would always be 0 km from it)
+      const expected = provider === gazetteer.name ? null : await expectedArea(gazetteer, query, memberCountry);
+
+      let distanceKm = null;
+      let distanceScore = null;
+      if (expected) {
+        distanceKm = haversineKm(expected.lat, expected.lng, geocoded.lat, geocoded.lng);
+        distanceScore = Math.max(0, 1 - distanceKm / TOLERANCE_KM[expected.precision]);
+        if (distanceScore === 0) {
+          reasons.push(`${Math.round(distanceKm)} km from ${expected.label}`);
+        }
+      }
+
+      const scores = [countryScore, distanceScore].filter(score => score != null);
+      const score = scores.length > 0
+        ? scores.reduce((sum, value) => sum + value, 0) / scores.length
+        : null;
+
+      if (score == null) {
+        reasons.push(provider === gazetteer.name
+          ? 'unverified - only the gazetteer placed this, nothing independent to check against'
+          : 'nothing to verify against');
+      } else if (score < threshold && reasons.length === 0) {
+        reasons.push(`score ${round(score, 2)} below ${threshold}`);
+      }
+
+      return {
+        score: score == null ? null : round(score, 3),
+        flagged: score == null || score < threshold,
+        unverified: score == null,
+        reasons,
+        countryScore,
+        distanceScore: distanceScore == null ? null : round(distanceScore, 3),
+        distanceKm: distanceKm == null ? null : round(distanceKm, 1),
+        expectedArea: expected ? `${expected.label} (${expected.precision})` : null,
+        reverseGeocodedTo: reverse?.formattedAddress || null,
+        reverseCountryCode: reverseCountry
+      };
+    }
+  };
+}
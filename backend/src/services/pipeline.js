@@ -0,0 +1,273 @@
+/**
+ * Team Data Pipeline
+ *
+ * Runs every data step in order so the team map can be refreshed with a
+ * single command:
+ *
+ *   scrape → analyze → geocode → process → applicant time zones → avatars
+ *
+ * Refreshes are incremental: members whose `location|country` is already
+ * in the current team.json reuse those coordinates, so only newly added or
+ * relocated members hit the geocoding API. Pass --full to geocode
+ * everything again.
+ *
+ * Usage:
+ *   npm run pipeline
+ *   npm run pipeline -- --dry-run
+ *   npm run pipeline -- --skip-scrape --raw ./teamJSON.txt --out ./team.json
+ *
+ * Options:
+ *   --base-url <url>          Origin to scrape (see scraper.js)
+ *   --raw <path>              teamJSON.txt to write (or read with --skip-scrape)
+ *   --geocode-results <path>  geocode_results.json to write
+ *   --out <path>              team.json to write
+ *   --applicant <path>        applicant.json to fill in time zones for
+ *   --skip-scrape             Use the existing raw file instead of scraping
+ *   --skip-avatars            Don't download avatars
+ *   --full                    Re-geocode every location
+ *   --dry-run                 Run every step but write nothing
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { scrapeTeam } from './scraper.js';
+import { analyzeTeamData } from '../utils/analyzeTeamData.js';
+import { geocodeTeamData, normalizeLocation } from '../utils/geocodeTeamData.js';
+import { processTeamData } from '../utils/processTeamData.js';
+import { processApplicantData } from '../utils/processApplicantData.js';
+import { downloadAvatars } from '../utils/downloadAvatars.js';
+import { isMainModule } from '../utils/cli.js';
+import { RAW_TEAM_PATH, GEOCODE_RESULTS_PATH, TEAM_DATA_PATH, APPLICANT_DATA_PATH } from '../config/paths.js';
+
+const locationKey = (location, country) => `${location}|${country}`;
+
+/**
+ * Read the currently published team.json, if there is one
+ */
+function loadPreviousTeam(teamPath) {
+  if (!fs.existsSync(teamPath)) return { team: [], metadata: {} };
+  const { team = [], metadata = {} } = JSON.parse(fs.readFileSync(teamPath, 'utf-8'));
+  return { team, metadata };
+}
+
+/**
+ * Compare the fresh scrape with the published team by member id
+ */
+function diffMembers(previousTeam, teamMembers) {
+  const previousById = new Map(previousTeam.map(m => [m.id, m]));
+  const currentIds = new Set(teamMembers.map(m => m.squeakId));
+
+  const added = [];
+  const relocated = [];
+  let unchanged = 0;
+
+  teamMembers.forEach(member => {
+    const previous = previousById.get(member.squeakId);
+    const name = `${member.firstName} ${member.lastName}`;
+
+    if (!previous) {
+      added.push(name);
+    } else if (
+      locationKey(previous.location, previous.country) !==
+      locationKey(member.location, member.country)
+    ) {
+      relocated.push(`${name}: ${previous.location} (${previous.country}) → ${member.location} (${member.country})`);
+    } else {
+      unchanged++;
+    }
+  });
+
+  const removed = previousTeam
+    .filter(m => !currentIds.has(m.id))
+    .map(m => m.name);
+
+  return { added, relocated, removed, unchanged };
+}
+
+/**
+ * Coordinates (and their verification score) already published for each
+ * location key
+ *
+ * Only geocoder results are reused - overrides and country centres are
+ * re-derived on every run so they follow edits to their sources.
+ */
+function knownLocationsFrom(previousTeam, scores = {}) {
+  const known = new Map();
+
+  previousTeam.forEach(member => {
+    if (member.latitude == null || member.longitude == null) return;
+    if (member.locationStatus && member.locationStatus !== 'geocoded') return;
+    if (!normalizeLocation(member.location, member.country)) return;
+
+    const key = locationKey(member.location, member.country);
+    known.set(key, {
+      lat: member.latitude,
+      lng: member.longitude,
+      formattedAddress: member.formattedAddress,
+      verificationScore: scores[key] ?? null
+    });
+  });
+
+  return known;
+}
+
+/**
+ * Run the full pipeline
+ *
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Origin to scrape
+ * @param {string} [options.rawPath] - teamJSON.txt location
+ * @param {string} [options.geocodeResultsPath] - geocode_results.json location
+ * @param {string} [options.outputPath] - team.json location
+ * @param {string} [options.applicantPath] - applicant.json location
+ * @param {boolean} [options.skipScrape] - Read rawPath instead of scraping
+ * @param {boolean} [options.skipAvatars] - Leave the avatar store as it is
+ * @param {boolean} [options.full] - Ignore coordinates from the previous team.json
+ * @param {boolean} [options.dryRun] - Write nothing
+ * @returns {Promise<{ team: object, diff: object }>}
+ */
+export async function runPipeline({
+  baseUrl,
+  rawPath = RAW_TEAM_PATH,
+  geocodeResultsPath = GEOCODE_RESULTS_PATH,
+  outputPath = TEAM_DATA_PATH,
+  applicantPath = APPLICANT_DATA_PATH,
+  skipScrape = false,
+  skipAvatars = false,
+  full = false,
+  dryRun = false
+} = {}) {
+  console.log('🦔 PostHog Team Data Pipeline\n');
+  if (dryRun) console.log('🧪 Dry run - no files will be written\n');
+  console.log('═'.repeat(60));
+
+  // Step 1: Scrape (or reuse the raw file)
+  let teamMembers;
+  if (skipScrape) {
+    console.log(`\n📂 STEP 1: Reading raw data from ${rawPath}\n`);
+    teamMembers = JSON.parse(fs.readFileSync(rawPath, 'utf-8')).team.teamMembers;
+  } else {
+    console.log('\n🕸️  STEP 1: Scraping team data\n');
+    const scrapeOptions = { outputPath: dryRun ? null : rawPath };
+    if (baseUrl) scrapeOptions.baseUrl = baseUrl;
+    ({ teamMembers } = await scrapeTeam(scrapeOptions));
+  }
+
+  // Work out what changed since the last published team.json
+  const { team: previousTeam, metadata: previousMetadata } = loadPreviousTeam(outputPath);
+  const diff = diffMembers(previousTeam, teamMembers);
+  const knownLocations = full ? new Map() : knownLocationsFrom(previousTeam, previousMetadata.verification?.scores);
+
+  console.log('🔁 Changes since last run:');
+  console.log(`   Added: ${diff.added.length}`);
+  console.log(`   Relocated: ${diff.relocated.length}`);
+  console.log(`   Removed: ${diff.removed.length}`);
+  console.log(`   Unchanged: ${diff.unchanged}\n`);
+
+  // Step 2: Analyze
+  console.log('═'.repeat(60));
+  console.log('\n🔍 STEP 2: Analyzing\n');
+  analyzeTeamData({ data: { team: { teamMembers } } });
+
+  // Step 3: Geocode (only unknown locations)
+  console.log('═'.repeat(60));
+  console.log('\n🌍 STEP 3: Geocoding\n');
+  const geocodeResults = await geocodeTeamData({
+    teamMembers,
+    outputPath: geocodeResultsPath,
+    knownLocations,
+    dryRun
+  });
+
+  // Step 4: Process into team.json
+  console.log('═'.repeat(60));
+  console.log('\n🔧 STEP 4: Processing\n');
+  const team = processTeamData({
+    teamMembers,
+    geocodeResults,
+    outputPath,
+    dryRun
+  });
+
+  // Step 5: Applicant time zones (team members get theirs in step 4)
+  console.log('═'.repeat(60));
+  console.log('\n🕐 STEP 5: Applicant time zones\n');
+  processApplicantData({ inputPath: applicantPath, dryRun });
+
+  // Step 6: Avatars (a failed download falls back to a placeholder)
+  let avatars = null;
+  if (!skipAvatars) {
+    console.log('═'.repeat(60));
+    console.log('\n🖼️  STEP 6: Avatars\n');
+    avatars = await downloadAvatars({ teamPath: outputPath, applicantPath, dryRun });
+  }
+
+  console.log('═'.repeat(60));
+  console.log('\n📦 PIPELINE SUMMARY\n');
+  const { headcount } = team.metadata;
+  console.log(`   Members published: ${headcount.total} (${headcount.mapped} on the map, ${headcount.unmapped} unmapped)`);
+  const { successful, reused, cached } = geocodeResults.summary;
+  console.log(`   Locations geocoded: ${successful - reused - cached}`);
+  console.log(`   Locations reused: ${reused}`);
+  console.log(`   Locations from cache: ${cached}`);
+  console.log(`   Failed locations: ${geocodeResults.summary.failed}`);
+  if (avatars) console.log(`   Avatars downloaded: ${avatars.downloaded} (${avatars.failed.length} failed)`);
+  console.log('');
+
+  const { failed, problematic, verificationMismatches } = geocodeResults.summary;
+  if (failed + problematic + verificationMismatches > 0) {
+    console.log('   🔎 Some locations were flagged - run npm run review to resolve them\n');
+  }
+
+  diff.added.forEach(name => console.log(`   ➕ ${name}`));
+  diff.relocated.forEach(change => console.log(`   🚚 ${change}`));
+  diff.removed.forEach(name => console.log(`   ➖ ${name}`));
+  if (diff.added.length + diff.relocated.length + diff.removed.length > 0) console.log('');
+
+  console.log(dryRun
+    ? '🧪 Dry run complete - nothing was written\n'
+    : `✨ team.json updated: ${outputPath}\n`);
+
+  return { team, diff };
+}
+
+// Allow running as standalone script
+if (isMainModule(import.meta.url)) {
+  dotenv.config();
+
+  const { values } = parseArgs({
+    options: {
+      'base-url': { type: 'string' },
+      raw: { type: 'string' },
+      'geocode-results': { type: 'string' },
+      out: { type: 'string' },
+      applicant: { type: 'string' },
+      'skip-scrape': { type: 'boolean', default: false },
+      'skip-avatars': { type: 'boolean', default: false },
+      full: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const options = {
+    baseUrl: values['base-url'],
+    skipScrape: values['skip-scrape'],
+    skipAvatars: values['skip-avatars'],
+    full: values.full,
+    dryRun: values['dry-run']
+  };
+  if (values.raw) options.rawPath = path.resolve(values.raw);
+  if (values['geocode-results']) options.geocodeResultsPath = path.resolve(values['geocode-results']);
+  if (values.out) options.outputPath = path.resolve(values.out);
+  if (values.applicant) options.applicantPath = path.resolve(values.applicant);
+
+  runPipeline(options)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Pipeline failed:', error.message);
+      console.error(error.stack);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,188 @@
+/**
+ * Location Review
+ *
+ * Lists every location the geocoder flagged - problematic names ("Remote",
+ * "World", missing locations), failed lookups and locations scoring below
+ * the verification threshold - that has no entry in location-overrides.json yet, and writes
+ * resolutions back to that file.
+ *
+ * Usage:
+ *   npm run review
+ *   npm run review -- --key "null|CO" --lat=4.711 --lng=-74.072 --label "Bogotá, Colombia"
+ *   npm run review -- --member 28378 --lat=64.751 --lng=-147.349 --label "North Pole"
+ *   npm run review -- --key "Remote|US" --hide
+ *   npm run review -- --key "Washington|US" --accept --note "Washington state, not DC"
+ *   npm run review -- --key "Remote|US" --remove
+ *
+ * Options:
+ *   --results <path>    geocode_results.json to review
+ *   --overrides <path>  location-overrides.json to read and update
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { GEOCODE_RESULTS_PATH, LOCATION_OVERRIDES_PATH } from '../config/paths.js';
+import { loadOverrides, saveOverrides, validateOverride } from './locationOverrides.js';
+import { isMainModule } from '../utils/cli.js';
+
+/**
+ * Collect flagged locations from a geocode results document, merged by key
+ */
+function collectFlags(results) {
+  const flags = new Map();
+
+  const add = (key, kind, details) => {
+    if (!flags.has(key)) {
+      flags.set(key, { key, kinds: [], details: [], memberIds: [], members: [] });
+    }
+    const flag = flags.get(key);
+    flag.kinds.push(kind);
+    if (details) flag.details.push(details);
+    flag.memberIds = details?.memberIds || flag.memberIds;
+    flag.members = details?.members || flag.members;
+    return flag;
+  };
+
+  results.problematicLocations?.forEach(p => {
+    add(`${p.location}|${p.country}`, 'problematic', { memberIds: p.memberIds, members: p.members });
+  });
+
+  results.failedGeocode?.forEach(f => {
+    add(`${f.location}|${f.country}`, 'failed', { memberIds: f.memberIds, members: f.members, reason: f.error });
+  });
+
+  results.verificationMismatches?.forEach(m => {
+    add(m.key || `${m.original}|${m.originalCountry}`, 'mismatch', {
+      memberIds: m.memberIds,
+      members: m.members,
+      reason: m.reasons
+        ? `${m.coordinates} scored ${m.score ?? 'n/a'}: ${m.reasons.join('; ')}`
+        : `${m.coordinates} reverse geocodes to "${m.reverseGeocodedTo}"`
+    });
+  });
+
+  return Array.from(flags.values());
+}
+
+/**
+ * Split flags into resolved (has an override) and unresolved
+ */
+export function reviewLocations({
+  resultsPath = GEOCODE_RESULTS_PATH,
+  overridesPath = LOCATION_OVERRIDES_PATH
+} = {}) {
+  if (!fs.existsSync(resultsPath)) {
+    throw new Error(`${resultsPath} not found - run npm run pipeline first`);
+  }
+
+  const results = JSON.parse(fs.readFileSync(resultsPath, 'utf-8'));
+  const overrides = loadOverrides(overridesPath);
+
+  const resolved = [];
+  const unresolved = [];
+
+  collectFlags(results).forEach(flag => {
+    const byLocation = Boolean(overrides.locations[flag.key]);
+    const byMembers = flag.memberIds.length > 0 &&
+      flag.memberIds.every(id => overrides.members[String(id)]);
+
+    (byLocation || byMembers ? resolved : unresolved).push(flag);
+  });
+
+  return { resolved, unresolved };
+}
+
+/**
+ * Print the review report
+ */
+function printReport({ resolved, unresolved }) {
+  console.log('🔎 Location Review\n');
+  console.log('═'.repeat(60));
+
+  if (unresolved.length === 0) {
+    console.log(`\n✅ Nothing to review (${resolved.length} flagged locations already resolved)\n`);
+    return;
+  }
+
+  console.log(`\n🚩 ${unresolved.length} unresolved location(s):\n`);
+
+  unresolved.forEach(flag => {
+    console.log(`   "${flag.key}" [${flag.kinds.join(', ')}]`);
+    flag.details
+      .filter(detail => detail.reason)
+      .forEach(detail => console.log(`      - ${detail.reason}`));
+    if (flag.members.length > 0) {
+      console.log(`      - Members: ${flag.members.join(', ')} (ids: ${flag.memberIds.join(', ')})`);
+    }
+    console.log('');
+  });
+
+  console.log(`✅ ${resolved.length} flagged location(s) already resolved\n`);
+  console.log('═'.repeat(60));
+  console.log('\n🎯 Resolve with one of:');
+  console.log('   npm run review -- --key "<location|country>" --lat=<lat> --lng=<lng> [--label "<label>"]');
+  console.log('   npm run review -- --member <id> --lat=<lat> --lng=<lng> [--label "<label>"]');
+  console.log('   npm run review -- --key "<location|country>" --hide');
+  console.log('   npm run review -- --key "<location|country>" --accept\n');
+}
+
+// Allow running as standalone script
+if (isMainModule(import.meta.url)) {
+  const { values } = parseArgs({
+    options: {
+      results: { type: 'string' },
+      overrides: { type: 'string' },
+      key: { type: 'string' },
+      member: { type: 'string' },
+      lat: { type: 'string' },
+      lng: { type: 'string' },
+      label: { type: 'string' },
+      note: { type: 'string' },
+      hide: { type: 'boolean', default: false },
+      accept: { type: 'boolean', default: false },
+      remove: { type: 'boolean', default: false }
+    }
+  });
+
+  const resultsPath = values.results ? path.resolve(values.results) : GEOCODE_RESULTS_PATH;
+  const overridesPath = values.overrides ? path.resolve(values.overrides) : LOCATION_OVERRIDES_PATH;
+
+  try {
+    if (values.key || values.member) {
+      const overrides = loadOverrides(overridesPath);
+      const [bucket, id] = values.member
+        ? ['members', String(values.member)]
+        : ['locations', values.key];
+
+      if (values.remove) {
+        delete overrides[bucket][id];
+        console.log(`🗑️  Removed override for ${bucket === 'members' ? 'member' : 'location'} "${id}"`);
+      } else {
+        const entry = {};
+        if (values.lat != null || values.lng != null) {
+          entry.latitude = Number(values.lat);
+          entry.longitude = Number(values.lng);
+          if (!Number.isFinite(entry.latitude) || !Number.isFinite(entry.longitude)) {
+            throw new Error('--lat and --lng must be numbers');
+          }
+        }
+        if (values.label) entry.label = values.label;
+        if (values.hide) entry.hidden = true;
+        if (values.accept) entry.accepted = true;
+        if (values.note) entry.note = values.note;
+
+        overrides[bucket][id] = validateOverride(entry);
+        console.log(`📌 Saved override for ${bucket === 'members' ? 'member' : 'location'} "${id}"`);
+      }
+
+      saveOverrides(overrides, overridesPath);
+      console.log('   Run npm run pipeline to apply it to team.json\n');
+    } else {
+      printReport(reviewLocations({ resultsPath, overridesPath }));
+    }
+  } catch (error) {
+    console.error('❌ Review failed:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * PostHog Team Scraper
+ *
+ * Fetches the people list from posthog.com (or any server that exposes the
+ * same payload) and writes a teamJSON.txt-compatible file for the data
+ * scripts in src/utils.
+ *
+ * Supported responses:
+ * - Gatsby page-data JSON (`result.data.team.teamMembers`)
+ * - Any JSON document with a `teamMembers` array somewhere inside it
+ * - Strapi-style paginated JSON (`data: [{ id, attributes }]`, `meta.pagination`)
+ * - HTML pages with the payload embedded in a JSON <script> tag, following
+ *   `rel="next"` links for pagination
+ *
+ * Usage:
+ *   npm run scrape -- --base-url http://localhost:4000 --out ./teamJSON.txt
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import dotenv from 'dotenv';
+import { RAW_TEAM_PATH } from '../config/paths.js';
+import { isMainModule } from '../utils/cli.js';
+
+const DEFAULTS = {
+  baseUrl: 'https://posthog.com',
+  peoplePath: '/page-data/people/page-data.json',
+  maxPages: 50,
+  retries: 3,
+  retryDelay: 1000,
+  timeout: 15000
+};
+
+// Delay helper for retry backoff
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Decide whether a failed request is worth retrying
+ */
+function isRetryable(error) {
+  // Network errors and timeouts have no response
+  if (!error.response) return true;
+
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * GET a URL, retrying transient failures with exponential backoff
+ */
+async function fetchWithRetry(client, url, { retries, retryDelay }) {
+  let attempt = 0;
+
+  while (true) {
+    try {
+      return await client.get(url);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw new Error(`Request to ${url} failed: ${error.message}`);
+      }
+
+      // Honour Retry-After (seconds) when the server sends one
+      const retryAfter = Number(error.response?.headers?.['retry-after']);
+      const wait = Number.isFinite(retryAfter) && retryAfter > 0
+        ? retryAfter * 1000
+        : retryDelay * 2 ** attempt;
+
+      attempt++;
+      console.warn(`⚠️  ${error.message} - retrying ${url} in ${wait}ms (${attempt}/${retries})`);
+      await delay(wait);
+    }
+  }
+}
+
+/**
+ * Recursively look for a `teamMembers` array inside a JSON document
+ */
+function findTeamMembers(node) {
+  if (!node || typeof node !== 'object') return null;
+
+  if (Array.isArray(node.teamMembers)) return node.teamMembers;
+
+  for (const value of Object.values(node)) {
+    const found = findTeamMembers(value);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+/**
+ * Flatten a Strapi `{ id, attributes }` entry into the teamMembers shape
+ */
+function fromStrapiEntry(entry) {
+  return {
+    squeakId: entry.id,
+    ...entry.attributes
+  };
+}
+
+/**
+ * Extract members and pagination info from a JSON payload
+ */
+function parseJsonPayload(json) {
+  // Strapi-style paginated response
+  if (Array.isArray(json?.data) && json.meta?.pagination) {
+    const { page, pageSize, pageCount } = json.meta.pagination;
+    return {
+      members: json.data.map(fromStrapiEntry),
+      pagination: { page, pageSize, pageCount }
+    };
+  }
+
+  const members = findTeamMembers(json);
+  if (!members) {
+    throw new Error('JSON response does not contain a teamMembers array');
+  }
+
+  return { members, pagination: null };
+}
+
+/**
+ * Extract members and the next page link from an HTML page
+ */
+function parseHtmlPayload(html, pageUrl) {
+  const $ = cheerio.load(html);
+  let members = null;
+
+  $('script[type="application/json"], script#__NEXT_DATA__').each((index, element) => {
+    if (members) return;
+    try {
+      members = findTeamMembers(JSON.parse($(element).text()));
+    } catch {
+      // Not the script we're looking for
+    }
+  });
+
+  if (!members) {
+    throw new Error(`No embedded team payload found in ${pageUrl}`);
+  }
+
+  const nextHref = $('a[rel="next"], link[rel="next"]').first().attr('href');
+  const nextUrl = nextHref ? new URL(nextHref, pageUrl).toString() : null;
+
+  return { members, nextUrl };
+}
+
+/**
+ * Build the URL for a given page of a Strapi-style endpoint
+ */
+function strapiPageUrl(url, page, pageSize) {
+  const pageUrl = new URL(url);
+  pageUrl.searchParams.set('pagination[page]', page);
+  pageUrl.searchParams.set('pagination[pageSize]', pageSize);
+  return pageUrl.toString();
+}
+
+/**
+ * Scrape all team members, following pagination
+ *
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Origin to scrape (default: SCRAPER_BASE_URL or posthog.com)
+ * @param {string} [options.peoplePath] - Path of the people payload relative to baseUrl
+ * @param {string|null} [options.outputPath] - Where to write teamJSON.txt (null to skip writing)
+ * @returns {Promise<{ teamMembers: object[], pages: number, outputPath: string|null }>}
+ */
+export async function scrapeTeam(options = {}) {
+  const config = {
+    ...DEFAULTS,
+    baseUrl: process.env.SCRAPER_BASE_URL || DEFAULTS.baseUrl,
+    peoplePath: process.env.SCRAPER_PEOPLE_PATH || DEFAULTS.peoplePath,
+    outputPath: RAW_TEAM_PATH,
+    ...options
+  };
+
+  const client = axios.create({
+    timeout: config.timeout,
+    headers: { 'User-Agent': 'posthog-population-plus-1 scraper' },
+    // Keep the raw body so we can sniff JSON vs HTML ourselves
+    responseType: 'text',
+    transformResponse: [data => data]
+  });
+
+  console.log('🦔 Scraping PostHog team data...\n');
+  console.log(`   Source: ${new URL(config.peoplePath, config.baseUrl)}\n`);
+
+  const seen = new Map();
+  let url = new URL(config.peoplePath, config.baseUrl).toString();
+  let pages = 0;
+
+  while (url && pages < config.maxPages) {
+    const response = await fetchWithRetry(client, url, config);
+    pages++;
+
+    const contentType = response.headers['content-type'] || '';
+    const body = response.data;
+    let result;
+    let nextUrl = null;
+
+    if (contentType.includes('json') || /^\s*[{[]/.test(body)) {
+      result = parseJsonPayload(JSON.parse(body));
+
+      const { pagination } = result;
+      if (pagination && pagination.page < pagination.pageCount) {
+        // Keep the server's page size so page boundaries stay consistent
+        nextUrl = strapiPageUrl(url, pagination.page + 1, pagination.pageSize);
+      }
+    } else {
+      result = parseHtmlPayload(body, url);
+      nextUrl = result.nextUrl;
+    }
+
+    // Deduplicate across pages by squeakId (fall back to full name)
+    result.members.forEach(member => {
+      const key = member.squeakId ?? `${member.firstName} ${member.lastName}`;
+      seen.set(key, member);
+    });
+
+    console.log(`   📄 Page ${pages}: ${result.members.length} members`);
+    url = nextUrl;
+  }
+
+  if (url) {
+    console.warn(`⚠️  Stopped after ${config.maxPages} pages - raise --max-pages to fetch the rest`);
+  }
+
+  const teamMembers = Array.from(seen.values());
+  if (teamMembers.length === 0) {
+    throw new Error('Scrape returned no team members');
+  }
+
+  console.log(`\n✅ Scraped ${teamMembers.length} team members from ${pages} page(s)\n`);
+
+  if (config.outputPath) {
+    fs.writeFileSync(
+      config.outputPath,
+      JSON.stringify({ team: { teamMembers } }, null, 2)
+    );
+    console.log(`💾 Raw team data saved to: ${config.outputPath}\n`);
+  }
+
+  return { teamMembers, pages, outputPath: config.outputPath };
+}
+
+// Allow running as standalone script
+if (isMainModule(import.meta.url)) {
+  dotenv.config();
+
+  const { values } = parseArgs({
+    options: {
+      'base-url': { type: 'string' },
+      path: { type: 'string' },
+      out: { type: 'string' },
+      'max-pages': { type: 'string' },
+      retries: { type: 'string' }
+    }
+  });
+
+  const options = {};
+  if (values['base-url']) options.baseUrl = values['base-url'];
+  if (values.path) options.peoplePath = values.path;
+  if (values.out) options.outputPath = path.resolve(values.out);
+  if (values['max-pages']) options.maxPages = Number(values['max-pages']);
+  if (values.retries) options.retries = Number(values.retries);
+
+  scrapeTeam(options)
+    .then(() => {
+      console.log('🎯 Next step: npm run pipeline -- --skip-scrape\n');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Scraping failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,116 @@
+/**
+ * Team Spatial Index
+ *
+ * A static k-d tree (kdbush) over every member shown on the map, built once
+ * per team.json version by the data store. Answers nearest-neighbour,
+ * radius and bounding-box queries without scanning the whole team.
+ *
+ * Distances are great-circle kilometres (haversine), matching the rest of
+ * the API.
+ */
+
+import KDBush from 'kdbush';
+import { around } from 'geokdbush';
+import { haversineKm } from '../utils/geo.js';
+
+const round = (km) => Math.round(km * 10) / 10;
+
+/**
+ * Build the index for a team
+ *
+ * Hidden members and members without coordinates are left out.
+ *
+ * @param {object[]} members - team.json members
+ */
+export function createSpatialIndex(members) {
+  const points = members.filter(m => m.latitude != null && m.longitude != null && !m.hidden);
+
+  const index = new KDBush(Math.max(points.length, 1));
+  points.forEach(m => index.add(m.longitude, m.latitude));
+  if (points.length === 0) index.add(0, 0); // kdbush needs at least one point
+  index.finish();
+
+  const withDistance = (lat, lng) => (i) => ({
+    member: points[i],
+    distanceKm: round(haversineKm(lat, lng, points[i].latitude, points[i].longitude))
+  });
+
+  return {
+    size: points.length,
+
+    /**
+     * Closest members to a point, nearest first
+     *
+     * @param {object} query
+     * @param {number} query.lat
+     * @param {number} query.lng
+     * @param {number} [query.limit] - How many to return
+     * @param {number} [query.maxDistanceKm] - Ignore anyone further away
+     * @param {(member: object) => boolean} [query.filter] - Extra condition
+     * @returns {{ member: object, distanceKm: number }[]}
+     */
+    nearest({ lat, lng, limit = 5, maxDistanceKm = Infinity, filter }) {
+      if (points.length === 0) return [];
+      const predicate = filter ? (i) => filter(points[i]) : undefined;
+      return around(index, lng, lat, limit, maxDistanceKm, predicate).map(withDistance(lat, lng));
+    },
+
+    /**
+     * Everyone within a radius of a point, nearest first
+     */
+    within({ lat, lng, radiusKm }) {
+      if (points.length === 0) return [];
+      return around(index, lng, lat, Infinity, radiusKm).map(withDistance(lat, lng));
+    },
+
+    /**
+     * Everyone inside a bounding box
+     *
+     * A box whose west edge is east of its east edge crosses the
+     * antimeridian and is searched as two boxes.
+     */
+    bbox({ west, south, east, north }) {
+      if (points.length === 0) return [];
+
+      const ids = west <= east
+        ? index.range(west, south, east, north)
+        : [...index.range(west, south, 180, north), ...index.range(-180, south, east, north)];
+
+      return ids.map(i => points[i]);
+    }
+  };
+}
+
+const wrapLng = (lng) => (lng === 180 ? 180 : ((((lng + 180) % 360) + 360) % 360) - 180);
+
+/**
+ * Parse a "west,south,east,north" bbox string
+ *
+ * Longitudes outside ±180 (a map panned round the world) are wrapped and
+ * latitudes clamped, so a Leaflet `getBounds()` can be passed as is.
+ *
+ * @returns {{ west: number, south: number, east: number, north: number }|null}
+ */
+export function parseBbox(value) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+
+  let [west, south, east, north] = parts;
+  if (south > north) return null;
+
+  // west > east is already an antimeridian-crossing box (see bbox above)
+  if (west <= east && east - west >= 360) {
+    west = -180;
+    east = 180;
+  } else {
+    west = wrapLng(west);
+    east = wrapLng(east);
+  }
+
+  return {
+    west,
+    south: Math.max(south, -90),
+    east,
+    north: Math.min(north, 90)
+  };
+}
@@ -0,0 +1,305 @@
+/**
+ * Team Query
+ *
+ * Filtering, search, sorting, projection and cursor pagination over the
+ * team members served by GET /api/team, plus the filter counts behind
+ * GET /api/team/facets. Kept free of Fastify so scripts can run the same
+ * queries.
+ *
+ * Pagination is keyset-based: the cursor encodes the sort key and id of the
+ * last member returned. With a `sort`, pages stay consistent when team.json
+ * reloads between requests; the default team.json order is keyed on the
+ * file position, so a reload that adds or removes members can shift it.
+ */
+
+import { foldName } from '../utils/geo.js';
+import { getCountry } from '../utils/countries.js';
+
+export const SORT_OPTIONS = ['name', '-name', 'startDate', '-startDate'];
+
+// `tenure=` ranges, in years since startDate ([from, to))
+export const TENURE_RANGES = {
+  'under-1': [0, 1],
+  '1-2': [1, 2],
+  '2-4': [2, 4],
+  'over-4': [4, Infinity]
+};
+
+// Every parameter buildFilter understands
+export const FILTER_PARAMS = ['country', 'team', 'role', 'lead', 'pineappleOnPizza', 'q', 'name', 'tenure'];
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Always returned, whatever `fields` asks for - cursors and map keys need it
+const ALWAYS_INCLUDED = ['id'];
+
+/**
+ * Error for parameters that pass the schema but still make no sense
+ * (Fastify answers it with a 400)
+ */
+export function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Split a comma-separated parameter into trimmed, non-empty values
+ */
+export const splitList = (value) =>
+  value == null
+    ? []
+    : String(value).split(',').map(part => part.trim()).filter(Boolean);
+
+const encodeCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (typeof position !== 'object' || position === null || !('id' in position)) throw new Error();
+    return position;
+  } catch {
+    throw badRequest('Invalid cursor');
+  }
+}
+
+/**
+ * Which TENURE_RANGES key a start date falls in (null without a start date)
+ */
+export function tenureRange(startDate, now = new Date()) {
+  if (!startDate) return null;
+
+  const years = (now - new Date(`${startDate}T00:00:00Z`)) / YEAR_MS;
+  const match = Object.entries(TENURE_RANGES).find(([, [from, to]]) => years >= from && years < to);
+  return match ? match[0] : null;
+}
+
+/**
+ * Build the predicate for every filter that was passed
+ *
+ * @param {object} params - Filter parameters (see FILTER_PARAMS)
+ * @param {{ now?: Date }} [options] - Reference date for tenure
+ */
+function buildFilter({ country, team, role, lead, pineappleOnPizza, q, name, tenure }, { now = new Date() } = {}) {
+  const checks = [];
+
+  const countries = splitList(country).map(code => code.toUpperCase());
+  if (countries.length > 0) {
+    checks.push(member => countries.includes(String(member.country).toUpperCase()));
+  }
+
+  const slugs = splitList(team).map(slug => slug.toLowerCase());
+  if (slugs.length > 0) {
+    checks.push(member => member.teams.some(t => t.slug && slugs.includes(t.slug.toLowerCase())));
+  }
+
+  if (role) {
+    const needle = role.toLowerCase();
+    checks.push(member => (member.role || '').toLowerCase().includes(needle));
+  }
+
+  if (lead != null) {
+    checks.push(member => (member.leadTeams.length > 0) === lead);
+  }
+
+  if (pineappleOnPizza != null) {
+    checks.push(member => member.pineappleOnPizza === pineappleOnPizza);
+  }
+
+  // Every search term must appear in the name, role or bio
+  const terms = foldName(q).split(' ').filter(Boolean);
+  if (terms.length > 0) {
+    checks.push(member => {
+      const haystack = foldName([member.name, member.role, member.biography].join(' '));
+      return terms.every(term => haystack.includes(term));
+    });
+  }
+
+  // Like q, but names only
+  const nameTerms = foldName(name).split(' ').filter(Boolean);
+  if (nameTerms.length > 0) {
+    checks.push(member => {
+      const folded = foldName(member.name);
+      return nameTerms.every(term => folded.includes(term));
+    });
+  }
+
+  const ranges = splitList(tenure);
+  const unknownRanges = ranges.filter(range => !TENURE_RANGES[range]);
+  if (unknownRanges.length > 0) {
+    throw badRequest(`Unknown tenure range(s): ${unknownRanges.join(', ')} (use ${Object.keys(TENURE_RANGES).join(', ')})`);
+  }
+  if (ranges.length > 0) {
+    checks.push(member => ranges.includes(tenureRange(member.startDate, now)));
+  }
+
+  return member => checks.every(check => check(member));
+}
+
+/**
+ * The filter parameters that were actually passed, in a stable order -
+ * an empty object means "everyone"
+ */
+export function activeFilters(params = {}) {
+  return Object.fromEntries(
+    FILTER_PARAMS
+      .filter(key => params[key] != null && params[key] !== '')
+      .map(key => [key, params[key]])
+  );
+}
+
+/**
+ * Members matching every filter in `params`
+ *
+ * @param {object[]} members
+ * @param {object} [params] - Filter parameters (see FILTER_PARAMS)
+ * @param {{ now?: Date }} [options]
+ */
+export function filterMembers(members, params = {}, options = {}) {
+  return members.filter(buildFilter(params, options));
+}
+
+/**
+ * Sort key for a member; null keys sort last in either direction
+ */
+function sortKey(member, field, index) {
+  if (field === 'name') return member.name.toLocaleLowerCase();
+  if (field === 'startDate') return member.startDate || null;
+  return index;
+}
+
+function compareKeys(a, b, descending) {
+  if (a === b) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  const order = a < b ? -1 : 1;
+  return descending ? -order : order;
+}
+
+/**
+ * Turn a `fields=` parameter into the list of fields to keep
+ *
+ * @param {string} [fields] - Comma-separated field names
+ * @param {string[]} [knownFields] - Fields that may be named
+ * @returns {string[]|null} null when every field should be kept
+ */
+export function parseFields(fields, knownFields = null) {
+  const requested = splitList(fields);
+  if (requested.length === 0) return null;
+
+  if (knownFields) {
+    const unknown = requested.filter(field => !knownFields.includes(field));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown field(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  return [...new Set([...ALWAYS_INCLUDED, ...requested])];
+}
+
+/**
+ * Keep only the given fields (all of them when `fields` is null)
+ */
+export function project(member, fields) {
+  if (!fields) return member;
+  return Object.fromEntries(
+    Object.entries(member).filter(([field]) => fields.includes(field))
+  );
+}
+
+/**
+ * Run a query over the team
+ *
+ * @param {object[]} members - Members from team.json, in file order
+ * @param {object} [params] - Validated querystring (see routes/team.js)
+ * @param {string[]} [knownFields] - Fields `fields=` may name
+ * @returns {{ team: object[], total: number, nextCursor: string|null }}
+ */
+export function queryTeam(members, params = {}, knownFields = null) {
+  const { sort, fields, limit, cursor } = params;
+
+  const projection = parseFields(fields, knownFields);
+
+  // Without a sort, keep team.json order (the file index is the key)
+  const descending = sort?.startsWith('-') ?? false;
+  const sortField = sort ? sort.replace(/^-/, '') : null;
+
+  const filter = buildFilter(params);
+  const matches = members
+    .map((member, index) => ({ member, key: sortKey(member, sortField, index) }))
+    .filter(({ member }) => filter(member))
+    .sort((a, b) => compareKeys(a.key, b.key, descending) || a.member.id - b.member.id);
+
+  // Skip everything up to and including the cursor position
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    start = matches.findIndex(({ member, key }) =>
+      (compareKeys(key, after.key, descending) || member.id - after.id) > 0
+    );
+    if (start === -1) start = matches.length;
+  }
+
+  const page = limit ? matches.slice(start, start + limit) : matches.slice(start);
+  const hasMore = start + page.length < matches.length;
+  const last = page[page.length - 1];
+
+  return {
+    team: page.map(({ member }) => project(member, projection)),
+    total: matches.length,
+    nextCursor: hasMore && last ? encodeCursor({ key: last.key, id: last.member.id }) : null
+  };
+}
+
+/**
+ * Count how many values of `keysOf` each member has, starting every key in
+ * `universe` at zero so options never vanish from a filter list
+ */
+function tally(members, keysOf, universe) {
+  const counts = new Map(universe.map(key => [key, 0]));
+  members.forEach(member => keysOf(member).forEach(key => {
+    if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+  }));
+  return counts;
+}
+
+const byCount = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+
+/**
+ * Counts for a filter panel: how many visible members match, and how many
+ * each option would match
+ *
+ * Every facet counts the members matching all of the *other* filters, so
+ * picking one team still shows how many people the neighbouring teams have.
+ *
+ * @param {object[]} members - team.json members
+ * @param {object} [params] - Filter parameters (see FILTER_PARAMS)
+ * @param {{ now?: Date }} [options]
+ */
+export function teamFacets(members, params = {}, { now = new Date() } = {}) {
+  const visible = members.filter(m => !m.hidden);
+  const matching = filterMembers(visible, params, { now });
+  const without = (key) => filterMembers(visible, { ...params, [key]: undefined }, { now });
+
+  const countryCodes = [...new Set(visible.map(m => m.country).filter(Boolean))];
+  const countries = tally(without('country'), m => [m.country], countryCodes);
+
+  const teamNames = new Map();
+  visible.forEach(m => m.teams.forEach(t => {
+    if (t.slug) teamNames.set(t.slug, t.name);
+  }));
+  const teams = tally(without('team'), m => m.teams.map(t => t.slug), [...teamNames.keys()]);
+
+  const tenure = tally(without('tenure'), m => [tenureRange(m.startDate, now)], Object.keys(TENURE_RANGES));
+
+  return {
+    total: matching.length,
+    mapped: matching.filter(m => m.latitude != null && m.longitude != null).length,
+    everyone: visible.length,
+    countries: Array.from(countries, ([code, count]) => ({ code, name: getCountry(code)?.name ?? code, count })).sort(byCount),
+    teams: Array.from(teams, ([slug, count]) => ({ slug, name: teamNames.get(slug), count })).sort(byCount),
+    tenure: Array.from(tenure, ([range, count]) => ({ range, count })),
+    leads: without('lead').filter(m => m.leadTeams.length > 0).length
+  };
+}
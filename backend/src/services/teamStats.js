@@ -0,0 +1,250 @@
+/**
+ * Team Statistics
+ *
+ * Counts and breakdowns over team.json members, shared by the /api/stats,
+ * /api/timeline and /api/team routes, the team.json metadata and the
+ * pipeline's console report. Every function takes the member list from
+ * team.json and returns plain JSON.
+ */
+
+import { getCountry } from '../utils/countries.js';
+import { LOCATION_STATUSES } from '../schemas/team.js';
+import { utcOffsetMinutes, formatUtcOffset } from '../utils/timezones.js';
+
+const UNKNOWN = 'Unknown';
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+const isMapped = (member) => member.latitude != null && !member.hidden;
+
+/**
+ * Count items by key, returning entries sorted by count (then key)
+ */
+function countBy(items, keyOf) {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+}
+
+/**
+ * Headline numbers: size, coverage and the all-important pizza question
+ */
+export function overviewStats(members) {
+  const total = members.length;
+  const withAvatar = members.filter(m => m.avatar).length;
+  const withBio = members.filter(m => m.biography).length;
+  const pineapple = countBy(members, m => m.pineappleOnPizza);
+
+  return {
+    totalMembers: total,
+    mappedMembers: members.filter(isMapped).length,
+    countries: new Set(members.map(m => m.country).filter(code => getCountry(code))).size,
+    uniqueRoles: new Set(members.map(m => m.role).filter(Boolean)).size,
+    teams: new Set(members.flatMap(m => m.teams.map(t => t.slug || t.name))).size,
+    teamLeads: members.filter(m => m.leadTeams.length > 0).length,
+    avatarCoverage: { count: withAvatar, percent: percent(withAvatar, total) },
+    bioCoverage: { count: withBio, percent: percent(withBio, total) },
+    pineappleOnPizza: {
+      yes: pineapple.find(([value]) => value === true)?.[1] || 0,
+      no: pineapple.find(([value]) => value === false)?.[1] || 0,
+      undecided: pineapple.find(([value]) => value == null)?.[1] || 0
+    }
+  };
+}
+
+/**
+ * Exact headcounts for the team.json metadata
+ */
+export function countHeadcount(members) {
+  const byLocationStatus = Object.fromEntries(LOCATION_STATUSES.map(status => [status, 0]));
+  members.forEach(member => {
+    byLocationStatus[member.locationStatus] = (byLocationStatus[member.locationStatus] || 0) + 1;
+  });
+
+  const mapped = members.filter(isMapped).length;
+
+  return {
+    total: members.length,
+    mapped,
+    unmapped: members.length - mapped,
+    hidden: members.filter(m => m.hidden).length,
+    byLocationStatus
+  };
+}
+
+/**
+ * Members per country, with the country's name and continent
+ */
+export function countryStats(members) {
+  return countBy(members, m => m.country).map(([code, count]) => {
+    const country = getCountry(code);
+    return {
+      code,
+      name: country?.name ?? UNKNOWN,
+      continent: country?.continent ?? UNKNOWN,
+      count,
+      percent: percent(count, members.length)
+    };
+  });
+}
+
+/**
+ * Members per continent, with the countries that make it up
+ */
+export function regionStats(members) {
+  const byContinent = new Map();
+
+  countryStats(members).forEach(country => {
+    if (!byContinent.has(country.continent)) {
+      byContinent.set(country.continent, { continent: country.continent, count: 0, countries: [] });
+    }
+    const region = byContinent.get(country.continent);
+    region.count += country.count;
+    region.countries.push({ code: country.code, name: country.name, count: country.count });
+  });
+
+  return Array.from(byContinent.values())
+    .map(region => ({ ...region, percent: percent(region.count, members.length) }))
+    .sort((a, b) => b.count - a.count || a.continent.localeCompare(b.continent));
+}
+
+/**
+ * Members per team, with leads and how spread out each team is
+ */
+export function teamStats(members) {
+  const teams = new Map();
+
+  members.forEach(member => {
+    member.teams.forEach(team => {
+      const key = team.slug || team.name;
+      if (!teams.has(key)) {
+        teams.set(key, { slug: team.slug, name: team.name, members: [] });
+      }
+      teams.get(key).members.push(member);
+    });
+  });
+
+  return Array.from(teams.values())
+    .map(team => ({
+      slug: team.slug,
+      name: team.name,
+      count: team.members.length,
+      leads: team.members
+        .filter(m => m.leadTeams.some(lead => lead.name === team.name))
+        .map(m => ({ id: m.id, name: m.name })),
+      countries: countBy(team.members, m => m.country).map(([code, count]) => ({ code, count }))
+    }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Members per IANA time zone, ordered west to east by current UTC offset
+ *
+ * @param {object[]} members
+ * @param {(member: object) => string|null} timezoneOf - Resolves a member's zone
+ * @param {Date} [date] - Moment to take UTC offsets at (they shift with DST)
+ */
+export function timezoneStats(members, timezoneOf = member => member.timezone ?? null, date = new Date()) {
+  return countBy(members, m => timezoneOf(m) ?? UNKNOWN)
+    .map(([timezone, count]) => {
+      const offset = timezone === UNKNOWN ? null : utcOffsetMinutes(timezone, date);
+      return {
+        timezone,
+        utcOffsetMinutes: offset,
+        utcOffset: formatUtcOffset(offset),
+        count
+      };
+    })
+    .sort((a, b) =>
+      (a.utcOffsetMinutes ?? Infinity) - (b.utcOffsetMinutes ?? Infinity) ||
+      a.timezone.localeCompare(b.timezone)
+    );
+}
+
+const monthOf = (date) => date.slice(0, 7);
+
+/**
+ * Every month from `first` to `last` inclusive, as "YYYY-MM"
+ */
+function monthRange(first, last) {
+  const months = [];
+  let [year, month] = first.split('-').map(Number);
+
+  for (let current = first; current <= last;) {
+    months.push(current);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+    current = `${year}-${String(month).padStart(2, '0')}`;
+  }
+
+  return months;
+}
+
+/**
+ * Hires per month from members' start dates, with a running total
+ *
+ * Months without a hire are included (as zeros) so the series can be
+ * charted or replayed as is. With `groupBy`, each month also lists who was
+ * hired where (country) or into what (team; members in several teams count
+ * towards each).
+ *
+ * @param {object[]} members
+ * @param {object} [options]
+ * @param {'country'|'team'} [options.groupBy]
+ */
+export function timelineStats(members, { groupBy } = {}) {
+  const dated = members.filter(m => m.startDate);
+  const byMonth = new Map();
+
+  dated.forEach(member => {
+    const month = monthOf(member.startDate);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(member);
+  });
+
+  const groupsOf = (hires) => {
+    if (groupBy === 'country') {
+      return countBy(hires, m => m.country).map(([code, count]) => ({
+        key: code,
+        name: getCountry(code)?.name ?? UNKNOWN,
+        count
+      }));
+    }
+
+    const names = new Map();
+    const teams = hires.flatMap(m => m.teams.map(team => {
+      const key = team.slug || team.name;
+      names.set(key, team.name);
+      return key;
+    }));
+    return countBy(teams, key => key).map(([key, count]) => ({ key, name: names.get(key), count }));
+  };
+
+  const bounds = Array.from(byMonth.keys()).sort();
+  let total = 0;
+
+  const months = bounds.length === 0 ? [] : monthRange(bounds[0], bounds[bounds.length - 1]).map(month => {
+    const hires = byMonth.get(month) || [];
+    total += hires.length;
+
+    const bucket = { month, hires: hires.length, total };
+    if (groupBy) bucket.groups = groupsOf(hires);
+    return bucket;
+  });
+
+  return {
+    groupBy: groupBy ?? null,
+    from: bounds[0] ?? null,
+    to: bounds[bounds.length - 1] ?? null,
+    undated: members.length - dated.length,
+    months
+  };
+}
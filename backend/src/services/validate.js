@@ -0,0 +1,82 @@
+/**
+ * Data Validation
+ *
+ * Checks team.json and applicant.json against their schemas (src/schemas)
+ * and prints every problem with the exact field it was found at. Exits
+ * non-zero when anything is invalid, so it can gate CI or a commit hook.
+ *
+ * Usage:
+ *   npm run validate
+ *   npm run validate -- --applicant ./applicant.draft.json
+ *
+ * Options:
+ *   --team <path>       team.json to check
+ *   --applicant <path>  applicant.json to check
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { TEAM_DATA_PATH, APPLICANT_DATA_PATH } from '../config/paths.js';
+import { validateData } from '../schemas/index.js';
+import { isMainModule } from '../utils/cli.js';
+
+/**
+ * Validate one data file
+ *
+ * @param {'team'|'applicant'} kind - Which document the file holds
+ * @param {string} filePath - File to read
+ * @returns {{ valid: boolean, errors: { path: string, message: string }[] }}
+ */
+export function validateFile(kind, filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return { valid: false, errors: [{ path: '/', message: error.message }] };
+  }
+
+  return validateData(kind, data);
+}
+
+// Allow running as standalone script
+if (isMainModule(import.meta.url)) {
+  const { values } = parseArgs({
+    options: {
+      team: { type: 'string' },
+      applicant: { type: 'string' }
+    }
+  });
+
+  const files = [
+    ['team', values.team ? path.resolve(values.team) : TEAM_DATA_PATH],
+    ['applicant', values.applicant ? path.resolve(values.applicant) : APPLICANT_DATA_PATH]
+  ];
+
+  console.log('🧪 Validating data files\n');
+  console.log('═'.repeat(60));
+
+  let failed = 0;
+
+  files.forEach(([kind, filePath]) => {
+    const { valid, errors } = validateFile(kind, filePath);
+
+    if (valid) {
+      console.log(`\n✅ ${filePath}`);
+      return;
+    }
+
+    failed++;
+    console.log(`\n❌ ${filePath} (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+    errors.forEach(error => console.log(`   ${error.path}: ${error.message}`));
+  });
+
+  console.log('\n' + '═'.repeat(60));
+
+  if (failed > 0) {
+    console.log(`\n❌ ${failed} file(s) failed validation\n`);
+    process.exit(1);
+  }
+
+  console.log('\n✨ All data files are valid\n');
+}
@@ -0,0 +1,107 @@
+/**
+ * Hire / Don't Hire Vote Store
+ *
+ * Votes are appended to a JSON Lines file, one vote per line, so a crash
+ * mid-write can cost at most the vote being written and the file never has
+ * to be rewritten. The tally is kept in memory and rebuilt from the file on
+ * start-up.
+ *
+ * Nothing identifying is stored - rate limiting by client happens in the
+ * route, in memory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const VOTE_CHOICES = ['hire', 'dont-hire'];
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+/**
+ * Create a store backed by one votes file
+ *
+ * @param {object} options
+ * @param {string} options.filePath - JSON Lines file (created on the first vote)
+ * @param {object} [options.logger] - Anything with warn (e.g. fastify.log)
+ */
+export function createVoteStore({ filePath, logger = console }) {
+  const tally = {
+    hire: 0,
+    dontHire: 0,
+    dontHireAttempts: 0,
+    maxDontHireAttempts: 0,
+    lastVoteAt: null
+  };
+
+  const count = (vote) => {
+    if (vote.choice === 'hire') tally.hire++;
+    else tally.dontHire++;
+
+    tally.dontHireAttempts += vote.dontHireAttempts;
+    tally.maxDontHireAttempts = Math.max(tally.maxDontHireAttempts, vote.dontHireAttempts);
+    tally.lastVoteAt = vote.createdAt;
+  };
+
+  if (fs.existsSync(filePath)) {
+    fs.readFileSync(filePath, 'utf-8').split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        const vote = JSON.parse(line);
+        if (VOTE_CHOICES.includes(vote.choice)) count(vote);
+      } catch {
+        // Most likely the last line of a write that was cut short
+        logger.warn(`⚠️  Skipping unreadable vote on line ${index + 1} of ${path.basename(filePath)}`);
+      }
+    });
+  }
+
+  // Appends run one at a time so lines never interleave
+  let writing = Promise.resolve();
+
+  return {
+    /**
+     * Record a vote
+     *
+     * @param {object} vote
+     * @param {'hire'|'dont-hire'} vote.choice
+     * @param {number} [vote.dontHireAttempts] - Times "Don't Hire" got away first
+     * @returns {Promise<object>} The stored vote
+     */
+    async add({ choice, dontHireAttempts = 0 }) {
+      const vote = {
+        id: crypto.randomUUID(),
+        choice,
+        dontHireAttempts,
+        createdAt: new Date().toISOString()
+      };
+
+      const write = writing.then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, JSON.stringify(vote) + '\n');
+      });
+      // A failed write fails this vote only, not every vote queued after it
+      writing = write.catch(() => {});
+      await write;
+
+      count(vote);
+      return vote;
+    },
+
+    /**
+     * Totals so far
+     */
+    summary() {
+      const total = tally.hire + tally.dontHire;
+      return {
+        total,
+        hire: tally.hire,
+        dontHire: tally.dontHire,
+        hirePercent: percent(tally.hire, total),
+        averageDontHireAttempts: total > 0 ? Math.round((tally.dontHireAttempts / total) * 10) / 10 : 0,
+        maxDontHireAttempts: tally.maxDontHireAttempts,
+        lastVoteAt: tally.lastVoteAt
+      };
+    }
+  };
+}
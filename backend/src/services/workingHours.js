@@ -0,0 +1,153 @@
+/**
+ * Working-Hours Overlap
+ *
+ * How much of the applicant's working day each team is also working,
+ * from each of the applicant's locations. Everyone is assumed to keep the
+ * same local hours (09:00-17:00 by default) in their own time zone, taken
+ * from team.json and applicant.json (see the pipeline's time zone steps).
+ *
+ * Times are handled as minutes on a UTC clock for a given date, so offsets
+ * reflect daylight saving on that date.
+ */
+
+import { timezoneAt, utcOffsetMinutes, formatUtcOffset } from '../utils/timezones.js';
+
+const DAY = 24 * 60;
+
+export const DEFAULT_WORKING_HOURS = { start: '09:00', end: '17:00' };
+
+/**
+ * "09:30" -> 570
+ */
+export function parseClockTime(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+const hoursOf = (minutes) => Math.round((minutes / 60) * 10) / 10;
+
+/**
+ * A local working window as [start, end) minutes on the UTC clock
+ *
+ * @returns {[number, number]|null} null for an unknown zone
+ */
+function utcWindow(timeZone, hours, date) {
+  const offset = utcOffsetMinutes(timeZone, date);
+  if (offset == null) return null;
+
+  const start = parseClockTime(hours.start) - offset;
+  let end = parseClockTime(hours.end) - offset;
+  if (end <= start) end += DAY; // a night shift ending after midnight
+  return [start, end];
+}
+
+/**
+ * Minutes two windows share, wherever they fall relative to midnight
+ */
+function overlapMinutes([aStart, aEnd], [bStart, bEnd]) {
+  return [-DAY, 0, DAY].reduce((total, shift) =>
+    total + Math.max(0, Math.min(aEnd, bEnd + shift) - Math.max(aStart, bStart + shift)), 0);
+}
+
+/**
+ * Hours two people in different zones are both working on a date
+ *
+ * @param {string} zoneA - IANA time zone
+ * @param {string} zoneB - IANA time zone
+ * @param {object} [options]
+ * @param {{ start: string, end: string }} [options.hours] - Local working hours
+ * @param {Date} [options.date] - Day to take UTC offsets on
+ * @returns {number|null} null when either zone is unknown
+ */
+export function sharedWorkingHours(zoneA, zoneB, { hours = DEFAULT_WORKING_HOURS, date = new Date() } = {}) {
+  const a = zoneA && utcWindow(zoneA, hours, date);
+  const b = zoneB && utcWindow(zoneB, hours, date);
+  if (!a || !b) return null;
+  return hoursOf(overlapMinutes(a, b));
+}
+
+/**
+ * Group members by team, keyed by slug (or name when there is none)
+ */
+function membersByTeam(members) {
+  const teams = new Map();
+
+  members.forEach(member => {
+    member.teams.forEach(team => {
+      const key = team.slug || team.name;
+      if (!teams.has(key)) teams.set(key, { slug: team.slug, name: team.name, members: [] });
+      teams.get(key).members.push(member);
+    });
+  });
+
+  return Array.from(teams.values());
+}
+
+/**
+ * Overlap between one applicant location and every team
+ *
+ * For each team: how many members share any of the applicant's hours, the
+ * average overlap, and `hourly` - how many members are working during each
+ * hour of the applicant's local day (index 0 is 00:00-01:00).
+ *
+ * @param {object} location - applicant.json location (its zone is looked up
+ *   from the coordinates if the pipeline hasn't filled in `timezone` yet)
+ * @param {object[]} members - team.json members
+ * @param {object} [options]
+ * @param {{ start: string, end: string }} [options.hours] - Local working hours
+ * @param {Date} [options.date] - Day to take UTC offsets on
+ */
+export function locationOverlap(location, members, {
+  hours = DEFAULT_WORKING_HOURS,
+  date = new Date()
+} = {}) {
+  const timezone = location.timezone ?? timezoneAt(location.latitude, location.longitude);
+  const applicantOffset = utcOffsetMinutes(timezone, date);
+  const applicantWindow = utcWindow(timezone, hours, date);
+  if (!applicantWindow) {
+    throw new Error(`Unknown time zone for ${location.city}: ${timezone}`);
+  }
+  const workingMinutes = applicantWindow[1] - applicantWindow[0];
+
+  // Each member's window, worked out once and shared by all their teams
+  const windows = new Map(members
+    .filter(m => m.timezone && !m.hidden)
+    .map(m => [m.id, utcWindow(m.timezone, hours, date)])
+    .filter(([, window]) => window));
+
+  const teams = membersByTeam(members.filter(m => !m.hidden)).map(team => {
+    const located = team.members.filter(m => windows.has(m.id));
+    const overlaps = located.map(m => overlapMinutes(applicantWindow, windows.get(m.id)));
+
+    const hourly = Array.from({ length: 24 }, (_, hour) => {
+      const slot = [hour * 60 - applicantOffset, (hour + 1) * 60 - applicantOffset];
+      return located.filter(m => overlapMinutes(slot, windows.get(m.id)) > 0).length;
+    });
+
+    const total = overlaps.reduce((sum, minutes) => sum + minutes, 0);
+    return {
+      slug: team.slug,
+      name: team.name,
+      members: team.members.length,
+      membersWithTimezone: located.length,
+      membersOverlapping: overlaps.filter(minutes => minutes > 0).length,
+      fullOverlap: overlaps.filter(minutes => minutes >= workingMinutes).length,
+      averageOverlapHours: located.length > 0 ? hoursOf(total / located.length) : 0,
+      maxOverlapHours: hoursOf(Math.max(0, ...overlaps)),
+      hourly
+    };
+  });
+
+  return {
+    location: {
+      city: location.city,
+      countryCode: location.countryCode,
+      timezone,
+      utcOffset: formatUtcOffset(applicantOffset),
+      isPrimary: location.isPrimary
+    },
+    workingHours: hours,
+    teams: teams.sort((a, b) =>
+      b.averageOverlapHours - a.averageOverlapHours || a.name.localeCompare(b.name))
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * World GeoJSON Builder
+ *
+ * Builds the country outlines behind the frontend's choropleth map mode
+ * from the world-atlas 1:110m TopoJSON (Natural Earth, public domain).
+ * Features are keyed by the same ISO 3166-1 alpha-2 codes as
+ * member.country, looked up from countries.json by numeric code (or by
+ * name, for the few outlines without one), and coordinates are rounded to
+ * keep the bundled file small.
+ *
+ * The output is committed, so this only needs re-running to change the
+ * resolution or precision.
+ *
+ * Usage:
+ *   npm run world-geojson
+ *   npm run world-geojson -- --scale 50m --precision 3
+ *
+ * Options:
+ *   --scale <110m|50m>   world-atlas resolution (default 110m)
+ *   --precision <n>      Decimal places kept in coordinates (default 2)
+ *   --out <path>         Where to write the GeoJSON
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { parseArgs } from 'util';
+import { feature } from 'topojson-client';
+import { loadCountries } from './countries.js';
+import { WORLD_GEOJSON_PATH } from '../config/paths.js';
+import { isMainModule } from './cli.js';
+
+const require = createRequire(import.meta.url);
+
+const SCALES = ['110m', '50m'];
+
+function roundCoordinates(coordinates, factor) {
+  return typeof coordinates[0] === 'number'
+    ? coordinates.map(value => Math.round(value * factor) / factor)
+    : coordinates.map(part => roundCoordinates(part, factor));
+}
+
+/**
+ * Build the GeoJSON and write it to `outputPath`
+ *
+ * @param {object} [options]
+ * @param {string} [options.scale='110m'] - world-atlas resolution
+ * @param {number} [options.precision=2] - Decimal places kept in coordinates
+ * @param {string} [options.outputPath] - Defaults to the frontend assets
+ * @returns {{ features: number, skipped: string[], bytes: number }}
+ */
+export function buildWorldGeoJson({ scale = '110m', precision = 2, outputPath = WORLD_GEOJSON_PATH } = {}) {
+  if (!SCALES.includes(scale)) {
+    throw new Error(`Unknown scale "${scale}" (expected one of ${SCALES.join(', ')})`);
+  }
+  if (!Number.isInteger(precision) || precision < 0) {
+    throw new Error(`Precision must be a whole number of decimal places, got "${precision}"`);
+  }
+
+  console.log('🌍 Building world GeoJSON');
+  console.log('═'.repeat(60));
+
+  const topology = require(`world-atlas/countries-${scale}.json`);
+  const countries = loadCountries();
+  const byNumeric = new Map(Object.entries(countries).filter(([, c]) => c.numeric).map(([code, c]) => [c.numeric, code]));
+  const byName = new Map(Object.entries(countries).map(([code, c]) => [c.name, code]));
+
+  const factor = 10 ** precision;
+  const skipped = [];
+  const features = [];
+
+  feature(topology, topology.objects.countries).features.forEach(({ id, properties, geometry }) => {
+    const code = byNumeric.get(id) ?? byName.get(properties.name);
+    if (!code || !geometry) {
+      skipped.push(properties.name);
+      return;
+    }
+
+    features.push({
+      type: 'Feature',
+      id: code,
+      properties: { code, name: countries[code].name },
+      geometry: { type: geometry.type, coordinates: roundCoordinates(geometry.coordinates, factor) }
+    });
+  });
+
+  features.sort((a, b) => a.id.localeCompare(b.id));
+
+  const json = JSON.stringify({ type: 'FeatureCollection', features });
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, json + '\n');
+
+  const bytes = Buffer.byteLength(json);
+  console.log(`✅ ${features.length} countries at 1:${scale}, ${precision} decimal places (${Math.round(bytes / 1024)} KB)`);
+  if (skipped.length > 0) {
+    console.log(`   ⚠️  No ISO code for: ${skipped.join(', ')}`);
+  }
+  console.log(`💾 Saved to: ${outputPath}\n`);
+
+  return { features: features.length, skipped, bytes };
+}
+
+// Run the builder when invoked directly
+if (isMainModule(import.meta.url)) {
+  const { values } = parseArgs({
+    options: {
+      scale: { type: 'string' },
+      precision: { type: 'string' },
+      out: { type: 'string' }
+    }
+  });
+
+  const options = {};
+  if (values.scale) options.scale = values.scale;
+  if (values.precision) options.precision = Number(values.precision);
+  if (values.out) options.outputPath = path.resolve(values.out);
+
+  try {
+    buildWorldGeoJson(options);
+  } catch (error) {
+    console.error('❌ Error building world GeoJSON:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Helpers for scripts that double as importable modules
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * True when the module at `importMetaUrl` was started directly with node
+ * (the ESM equivalent of `require.main === module`)
+ */
+export function isMainModule(importMetaUrl) {
+  return Boolean(process.argv[1]) &&
+    path.resolve(process.argv[1]) === fileURLToPath(importMetaUrl);
+}
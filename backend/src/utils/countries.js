@@ -0,0 +1,35 @@
+/**
+ * ISO 3166-1 Country Lookups
+ *
+ * Backed by the bundled src/data/countries.json, keyed by alpha-2 code:
+ *
+ *   "PT": { name, iso3, numeric, continent, subregion, latitude, longitude }
+ *
+ * latitude/longitude is a representative centre point, used to place members
+ * whose location couldn't be geocoded any more precisely. The table was
+ * generated from the world-countries dataset (ODbL).
+ */
+
+import fs from 'fs';
+import { COUNTRIES_PATH } from '../config/paths.js';
+
+let countries = null;
+
+/**
+ * Load the country table (read once, then cached)
+ */
+export function loadCountries(countriesPath = COUNTRIES_PATH) {
+  if (!countries) {
+    countries = JSON.parse(fs.readFileSync(countriesPath, 'utf-8'));
+  }
+  return countries;
+}
+
+/**
+ * Look up a country by alpha-2 code, returning null for unknown codes
+ */
+export function getCountry(code) {
+  if (!code) return null;
+  const entry = loadCountries()[String(code).toUpperCase()];
+  return entry ? { code: String(code).toUpperCase(), ...entry } : null;
+}
@@ -0,0 +1,198 @@
+/**
+ * Avatar Downloader
+ *
+ * Downloads every avatar in team.json and applicant.json into the local
+ * avatar store and renders its resized and circular variants (see
+ * services/avatars.js), so the map never hotlinks the image CDN.
+ *
+ * Runs are incremental: people whose avatar URL and colour haven't changed
+ * since the last run are skipped, and the files of people who have left
+ * are removed. Pass --force to download everything again.
+ *
+ * Usage:
+ *   npm run avatars
+ *   npm run avatars -- --force --dry-run
+ *
+ * Options:
+ *   --team <path>        team.json to read
+ *   --applicant <path>   applicant.json to read
+ *   --out <dir>          Avatar store directory
+ *   --force              Re-download every avatar
+ *   --dry-run            Download and render, but write nothing
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseArgs } from 'util';
+import axios from 'axios';
+import {
+  AVATAR_SIZES,
+  AVATAR_SHAPES,
+  MANIFEST_FILE,
+  renderVariants,
+  readManifest,
+  variantFileName
+} from '../services/avatars.js';
+import { TEAM_DATA_PATH, APPLICANT_DATA_PATH, AVATARS_DIR } from '../config/paths.js';
+import { isMainModule } from './cli.js';
+
+const CONCURRENCY = 4;
+
+/**
+ * Everyone who can have an avatar: visible team members and the applicant
+ */
+function loadPeople(teamPath, applicantPath) {
+  const people = [];
+
+  if (fs.existsSync(teamPath)) {
+    JSON.parse(fs.readFileSync(teamPath, 'utf-8')).team
+      .filter(member => !member.hidden)
+      .forEach(({ id, name, avatar, color }) => people.push({ id: String(id), name, avatar, color }));
+  }
+
+  if (fs.existsSync(applicantPath)) {
+    const { id, name, avatar, color } = JSON.parse(fs.readFileSync(applicantPath, 'utf-8'));
+    people.push({ id, name, avatar, color });
+  }
+
+  return people;
+}
+
+const hasAllVariants = (dir, id) =>
+  AVATAR_SIZES.every(size =>
+    AVATAR_SHAPES.every(shape => fs.existsSync(path.join(dir, variantFileName(id, size, shape)))));
+
+const removeVariants = (dir, id) =>
+  AVATAR_SIZES.forEach(size =>
+    AVATAR_SHAPES.forEach(shape => fs.rmSync(path.join(dir, variantFileName(id, size, shape)), { force: true })));
+
+/**
+ * Download and render avatars
+ *
+ * @param {object} [options]
+ * @param {string} [options.teamPath] - team.json to read
+ * @param {string} [options.applicantPath] - applicant.json to read
+ * @param {string} [options.outputDir] - Avatar store directory
+ * @param {boolean} [options.force] - Ignore the previous run
+ * @param {boolean} [options.dryRun] - Write nothing
+ * @returns {Promise<{ downloaded: number, unchanged: number, failed: string[], removed: number, withoutAvatar: number }>}
+ */
+export async function downloadAvatars({
+  teamPath = TEAM_DATA_PATH,
+  applicantPath = APPLICANT_DATA_PATH,
+  outputDir = AVATARS_DIR,
+  force = false,
+  dryRun = false
+} = {}) {
+  const people = loadPeople(teamPath, applicantPath);
+  const previous = readManifest(outputDir);
+  const manifest = {};
+  const summary = { downloaded: 0, unchanged: 0, failed: [], removed: 0, withoutAvatar: 0 };
+
+  const client = axios.create({
+    timeout: 15000,
+    responseType: 'arraybuffer',
+    headers: { 'User-Agent': 'posthog-population-plus-1 avatars' }
+  });
+
+  const pending = [];
+  people.forEach(person => {
+    if (!person.avatar) {
+      summary.withoutAvatar++;
+      return;
+    }
+
+    const known = previous[person.id];
+    if (!force && known?.source === person.avatar && known.color === person.color && hasAllVariants(outputDir, person.id)) {
+      manifest[person.id] = known;
+      summary.unchanged++;
+      return;
+    }
+    pending.push(person);
+  });
+
+  console.log(`🖼️  ${pending.length} avatars to download (${summary.unchanged} unchanged, ${summary.withoutAvatar} without an avatar)\n`);
+  if (!dryRun) fs.mkdirSync(outputDir, { recursive: true });
+
+  // A few downloads at a time - plenty for ~150 small images
+  const download = async (person) => {
+    try {
+      const { data } = await client.get(person.avatar);
+      const image = Buffer.from(data);
+      const variants = await renderVariants(image, person.color);
+
+      if (!dryRun) {
+        variants.forEach(({ size, shape, buffer }) =>
+          fs.writeFileSync(path.join(outputDir, variantFileName(person.id, size, shape)), buffer));
+      }
+
+      manifest[person.id] = {
+        source: person.avatar,
+        color: person.color,
+        hash: crypto.createHash('sha1').update(image).digest('hex').slice(0, 12),
+        updatedAt: new Date().toISOString()
+      };
+      summary.downloaded++;
+    } catch (error) {
+      console.warn(`   ⚠️  ${person.name}: ${error.message}`);
+      summary.failed.push(person.name);
+
+      // Keep serving the previous image rather than a placeholder
+      if (previous[person.id] && hasAllVariants(outputDir, person.id)) manifest[person.id] = previous[person.id];
+    }
+  };
+
+  const queue = [...pending];
+  await Promise.all(Array.from({ length: CONCURRENCY }, async () => {
+    while (queue.length > 0) await download(queue.shift());
+  }));
+
+  // People who left, or whose avatar was removed
+  Object.keys(previous).filter(id => !manifest[id]).forEach(id => {
+    if (!dryRun) removeVariants(outputDir, id);
+    summary.removed++;
+  });
+
+  console.log(`\n✅ Downloaded: ${summary.downloaded}`);
+  console.log(`   Unchanged: ${summary.unchanged}`);
+  console.log(`   Removed: ${summary.removed}`);
+  console.log(`   Failed: ${summary.failed.length}`);
+  console.log(`   Placeholders (no avatar): ${summary.withoutAvatar}\n`);
+
+  if (!dryRun) {
+    // Written last, so the API never points at variants that don't exist yet
+    const manifestPath = path.join(outputDir, MANIFEST_FILE);
+    fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2) + '\n');
+    fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+    console.log(`💾 Avatars saved to: ${outputDir}\n`);
+  }
+
+  return summary;
+}
+
+// Run the downloader when invoked directly
+if (isMainModule(import.meta.url)) {
+  const { values } = parseArgs({
+    options: {
+      team: { type: 'string' },
+      applicant: { type: 'string' },
+      out: { type: 'string' },
+      force: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const options = { force: values.force, dryRun: values['dry-run'] };
+  if (values.team) options.teamPath = path.resolve(values.team);
+  if (values.applicant) options.applicantPath = path.resolve(values.applicant);
+  if (values.out) options.outputDir = path.resolve(values.out);
+
+  downloadAvatars(options)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Error downloading avatars:', error.message);
+      console.error(error.stack);
+      process.exit(1);
+    });
+}
@@ -5,37 +5,32 @@
  * 1. Reads team data and identifies all unique locations
  * 2. Flags potentially problematic locations
  * 3. Geocodes each location to get coordinates
- * 4. Reverse geocodes to verify accuracy
- * 5. Reports any mismatches for manual review
+ * 4. Verifies every new result - reverse geocoded country plus distance to
+ *    the expected area - and scores it (see src/services/locationVerifier.js);
+ *    reused locations keep the score published in team.json, if they have one
+ * 5. Reports anything scoring below the threshold for manual review
+ *
+ * Locations passed in `knownLocations` (e.g. from the current team.json)
+ * reuse their coordinates instead of being geocoded again, so an
+ * incremental refresh only hits the API for new places. Everything else is
+ * looked up through the configured provider chain - by default the
+ * persistent geocode cache, then the offline gazetteer, then Nominatim
+ * (see src/services/geocoders).
+ *
+ * Run standalone with `node src/utils/geocodeTeamData.js [teamJSON.txt]`
+ * or as the third step of `npm run pipeline`.
  */
 
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import NodeGeocoder from 'node-geocoder';
-
-// Get current file directory
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Paths
-const teamJsonPath = path.join(__dirname, '../../../teamJSON.txt');
-
-// Initialize geocoder (using OpenStreetMap - free, no API key needed)
-const geocoder = NodeGeocoder({
-  provider: 'openstreetmap',
-  // Be nice to the free API - add delays between requests
-  timeout: 5000,
-  httpAdapter: 'https',
-});
-
-// Delay helper to respect rate limits
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+import { RAW_TEAM_PATH, GEOCODE_RESULTS_PATH } from '../config/paths.js';
+import { createGeocoder } from '../services/geocoders/index.js';
+import { createLocationVerifier } from '../services/locationVerifier.js';
+import { isMainModule } from './cli.js';
 
 /**
  * Check if a location looks problematic
  */
-function isPotentiallyProblematic(location) {
+export function isPotentiallyProblematic(location) {
   if (!location || location === 'null') return true;
 
   const lowerLocation = location.toLowerCase();
@@ -57,11 +52,13 @@ function isPotentiallyProblematic(location) {
 
 /**
  * Clean and normalize location strings for better geocoding
+ *
+ * Returns null when there is nothing meaningful to geocode (missing or
+ * "world" locations) - those need an entry in location-overrides.json.
  */
-function normalizeLocation(location, country) {
-  // Handle null or world -> North Pole
-  if (!location || location === 'null' || location.toLowerCase() === 'world') {
-    return 'North Pole';
+export function normalizeLocation(location, country) {
+  if (!location || location === 'null' || location.trim().toLowerCase() === 'world') {
+    return null;
   }
 
   let normalized = location.trim();
@@ -102,277 +99,386 @@ function normalizeLocation(location, country) {
   return normalized;
 }
 
+/**
+ * The string sent to the geocoder for a location, e.g. "Seattle, WA, US"
+ */
+function searchQueryFor({ location, country }) {
+  const normalizedLocation = normalizeLocation(location, country);
+  if (!normalizedLocation) return null;
+
+  return country && country !== 'world'
+    ? `${normalizedLocation}, ${country}`
+    : normalizedLocation;
+}
+
 /**
  * Main geocoding function
+ *
+ * @param {object} [options]
+ * @param {string} [options.inputPath] - teamJSON.txt to read
+ * @param {object[]} [options.teamMembers] - Raw members (skips reading inputPath)
+ * @param {string} [options.outputPath] - Where to write geocode_results.json
+ * @param {Map<string, object>} [options.knownLocations] - `location|country` -> { lat, lng, formattedAddress, verificationScore } to reuse
+ * @param {object} [options.geocoder] - Provider chain (defaults to GEOCODER_PROVIDERS)
+ * @param {object} [options.verifier] - Scores each result (see locationVerifier.js)
+ * @param {boolean} [options.dryRun] - Skip writing the results and cache files
+ * @returns {Promise<object>} The geocode results document
  */
-async function geocodeTeamData() {
+export async function geocodeTeamData({
+  inputPath = RAW_TEAM_PATH,
+  teamMembers,
+  outputPath = GEOCODE_RESULTS_PATH,
+  knownLocations = new Map(),
+  geocoder = createGeocoder(),
+  verifier = createLocationVerifier({ geocoder }),
+  dryRun = false
+} = {}) {
   console.log('🌍 PostHog Team Location Geocoder\n');
+  console.log(`🔌 Providers: ${geocoder.providers.join(' → ')}\n`);
   console.log('═'.repeat(60));
 
-  try {
-    // Read and parse team data
-    const rawData = fs.readFileSync(teamJsonPath, 'utf-8');
-    const data = JSON.parse(rawData);
-    const teamMembers = data.team.teamMembers;
-
-    console.log(`📊 Total team members: ${teamMembers.length}\n`);
-
-    // Step 1: Collect all unique locations
-    console.log('📍 STEP 1: Analyzing unique locations...\n');
-
-    const locationMap = new Map();
-    teamMembers.forEach(member => {
-      const location = member.location;
-      const country = member.country;
-      const key = `${location}|${country}`;
-
-      if (!locationMap.has(key)) {
-        locationMap.set(key, {
-          location,
-          country,
-          count: 0,
-          members: []
-        });
-      }
+  // Read and parse team data
+  if (!teamMembers) {
+    const rawData = fs.readFileSync(inputPath, 'utf-8');
+    teamMembers = JSON.parse(rawData).team.teamMembers;
+  }
 
-      const locData = locationMap.get(key);
-      locData.count++;
-      locData.members.push(`${member.firstName} ${member.lastName}`);
-    });
+  console.log(`📊 Total team members: ${teamMembers.length}\n`);
 
-    console.log(`Found ${locationMap.size} unique locations\n`);
+  // Step 1: Collect all unique locations
+  console.log('📍 STEP 1: Analyzing unique locations...\n');
 
-    // Step 2: Flag problematic locations
-    console.log('🚩 STEP 2: Identifying potentially problematic locations...\n');
+  const locationMap = new Map();
+  teamMembers.forEach(member => {
+    const location = member.location;
+    const country = member.country;
+    const key = `${location}|${country}`;
 
-    const problematic = [];
-    const normal = [];
+    if (!locationMap.has(key)) {
+      locationMap.set(key, {
+        location,
+        country,
+        count: 0,
+        members: [],
+        memberIds: []
+      });
+    }
 
-    locationMap.forEach((data, key) => {
-      if (isPotentiallyProblematic(data.location)) {
-        problematic.push({ key, ...data });
-      } else {
-        normal.push({ key, ...data });
-      }
-    });
+    const locData = locationMap.get(key);
+    locData.count++;
+    locData.members.push(`${member.firstName} ${member.lastName}`);
+    locData.memberIds.push(member.squeakId);
+  });
 
-    if (problematic.length > 0) {
-      console.log(`⚠️  Found ${problematic.length} potentially problematic locations:\n`);
-      problematic.forEach(loc => {
-        console.log(`   🚩 "${loc.location}" (${loc.country})`);
-        console.log(`      - ${loc.count} team member(s): ${loc.members.slice(0, 3).join(', ')}${loc.count > 3 ? '...' : ''}`);
-      });
-      console.log('');
+  console.log(`Found ${locationMap.size} unique locations\n`);
+
+  // Step 2: Flag problematic locations
+  console.log('🚩 STEP 2: Identifying potentially problematic locations...\n');
+
+  const problematic = [];
+  const normal = [];
+
+  locationMap.forEach((data, key) => {
+    if (isPotentiallyProblematic(data.location)) {
+      problematic.push({ key, ...data });
     } else {
-      console.log('✅ No obviously problematic locations found!\n');
+      normal.push({ key, ...data });
     }
+  });
 
-    console.log(`✅ ${normal.length} normal locations ready for geocoding\n`);
-    console.log('═'.repeat(60));
+  if (problematic.length > 0) {
+    console.log(`⚠️  Found ${problematic.length} potentially problematic locations:\n`);
+    problematic.forEach(loc => {
+      console.log(`   🚩 "${loc.location}" (${loc.country})`);
+      console.log(`      - ${loc.count} team member(s): ${loc.members.slice(0, 3).join(', ')}${loc.count > 3 ? '...' : ''}`);
+    });
     console.log('');
+  } else {
+    console.log('✅ No obviously problematic locations found!\n');
+  }
 
-    // Step 3: Geocode all locations (with delay to respect rate limits)
-    console.log('🗺️  STEP 3: Geocoding all locations...\n');
-    console.log('⏳ This will take a few minutes (respecting API rate limits)...\n');
-
-    const geocodeResults = new Map();
-    let successCount = 0;
-    let failCount = 0;
-
-    // Process all locations (problematic + normal)
-    const allLocations = [...problematic, ...normal];
-
-    for (let i = 0; i < allLocations.length; i++) {
-      const loc = allLocations[i];
-
-      // Normalize the location for better geocoding results
-      const normalizedLocation = normalizeLocation(loc.location, loc.country);
-
-      const searchQuery = loc.country && loc.country !== 'world'
-        ? `${normalizedLocation}, ${loc.country}`
-        : normalizedLocation;
-
-      try {
-        // Progress indicator
-        process.stdout.write(`\r   Geocoding ${i + 1}/${allLocations.length}: ${searchQuery.padEnd(50).substring(0, 50)}...`);
-
-        const results = await geocoder.geocode(searchQuery);
-
-        if (results && results.length > 0) {
-          const result = results[0];
-          geocodeResults.set(loc.key, {
-            ...loc,
-            geocoded: {
-              lat: result.latitude,
-              lng: result.longitude,
-              formattedAddress: result.formattedAddress,
-              city: result.city,
-              country: result.country,
-              countryCode: result.countryCode
-            },
-            success: true
-          });
-          successCount++;
-        } else {
-          geocodeResults.set(loc.key, {
-            ...loc,
-            success: false,
-            error: 'No results found'
-          });
-          failCount++;
-        }
-
-        // Respect rate limits (1 request per second)
-        await delay(1000);
-
-      } catch (error) {
-        geocodeResults.set(loc.key, {
-          ...loc,
-          success: false,
-          error: error.message
-        });
-        failCount++;
-        await delay(1000);
-      }
+  console.log(`✅ ${normal.length} normal locations ready for geocoding\n`);
+  console.log('═'.repeat(60));
+  console.log('');
+
+  // Step 3: Geocode all locations (remote providers respect rate limits)
+  console.log('🗺️  STEP 3: Geocoding all locations...\n');
+  console.log('⏳ Remote lookups take a while (respecting API rate limits)...\n');
+
+  const geocodeResults = new Map();
+  let successCount = 0;
+  let failCount = 0;
+  let reusedCount = 0;
+  let cachedCount = 0;
+
+  // Process all locations (problematic + normal)
+  const allLocations = [...problematic, ...normal];
+
+  // Reuse coordinates we already have for unchanged locations
+  const toGeocode = [];
+  allLocations.forEach(loc => {
+    const known = knownLocations.get(loc.key);
+    if (known) {
+      const { verificationScore, ...geocoded } = known;
+      geocodeResults.set(loc.key, {
+        ...loc,
+        geocoded,
+        success: true,
+        reused: true
+      });
+      successCount++;
+      reusedCount++;
+    } else {
+      toGeocode.push(loc);
     }
+  });
 
-    console.log('\n');
-    console.log(`✅ Geocoding complete: ${successCount} successful, ${failCount} failed\n`);
-    console.log('═'.repeat(60));
-    console.log('');
+  if (reusedCount > 0) {
+    console.log(`♻️  Reusing coordinates for ${reusedCount} known locations`);
+    console.log(`🆕 ${toGeocode.length} locations need geocoding\n`);
+  }
 
-    // Step 4: Reverse geocoding verification
-    console.log('🔄 STEP 4: Verifying coordinates with reverse geocoding...\n');
-    console.log('⏳ Verifying a sample of locations...\n');
+  for (let i = 0; i < toGeocode.length; i++) {
+    const loc = toGeocode[i];
 
-    const verificationsNeeded = Array.from(geocodeResults.values())
-      .filter(r => r.success)
-      .slice(0, 10); // Verify first 10 to avoid too many API calls
+    // Normalize the location for better geocoding results
+    const searchQuery = searchQueryFor(loc);
 
-    const mismatches = [];
+    // Nothing to look up - leave it for a manual override
+    if (!searchQuery) {
+      geocodeResults.set(loc.key, {
+        ...loc,
+        success: false,
+        error: 'No usable location (add a location override)'
+      });
+      failCount++;
+      continue;
+    }
 
-    for (let i = 0; i < verificationsNeeded.length; i++) {
-      const loc = verificationsNeeded[i];
+    try {
+      // Progress indicator
+      process.stdout.write(`\r   Geocoding ${i + 1}/${toGeocode.length}: ${searchQuery.padEnd(50).substring(0, 50)}...`);
 
-      try {
-        process.stdout.write(`\r   Verifying ${i + 1}/${verificationsNeeded.length}...`);
+      // Cached places (including manual overrides) never reach a provider,
+      // and the remote provider rate limits itself
+      const result = await geocoder.geocode(searchQuery, {
+        location: loc.location,
+        country: loc.country
+      });
 
-        const reverseResults = await geocoder.reverse({
-          lat: loc.geocoded.lat,
-          lon: loc.geocoded.lng
+      if (result) {
+        geocodeResults.set(loc.key, {
+          ...loc,
+          geocoded: {
+            lat: result.lat,
+            lng: result.lng,
+            formattedAddress: result.formattedAddress,
+            city: result.city,
+            country: result.country,
+            countryCode: result.countryCode
+          },
+          provider: result.provider,
+          confidence: result.confidence,
+          cached: result.cached,
+          success: true
         });
+        successCount++;
+        if (result.cached) cachedCount++;
+      } else {
+        geocodeResults.set(loc.key, {
+          ...loc,
+          success: false,
+          error: 'No results found'
+        });
+        failCount++;
+      }
 
-        if (reverseResults && reverseResults.length > 0) {
-          const reverse = reverseResults[0];
-
-          // Check if reverse geocoded location roughly matches original
-          const originalLower = loc.location.toLowerCase();
-          const reverseLower = reverse.formattedAddress.toLowerCase();
+    } catch (error) {
+      geocodeResults.set(loc.key, {
+        ...loc,
+        success: false,
+        error: error.message
+      });
+      failCount++;
+    }
+  }
 
-          // Simple check: does the reverse address contain the original location name?
-          const matches = reverseLower.includes(originalLower) ||
-                         originalLower.includes(reverse.city?.toLowerCase() || '');
+  console.log('\n');
+  console.log(`✅ Geocoding complete: ${successCount} successful, ${failCount} failed`);
+  if (geocoder.cache) {
+    console.log(`🗄️  Geocode cache: ${cachedCount} hits, ${geocoder.cache.size} entries`);
+    if (!dryRun) geocoder.cache.save();
+  }
+  console.log('');
+  console.log('═'.repeat(60));
+  console.log('');
+
+  // Step 4: Reverse geocoding verification
+  console.log('🔄 STEP 4: Verifying coordinates with reverse geocoding...\n');
+  console.log(`⏳ Scoring new and unscored locations (flag threshold ${verifier.threshold})...\n`);
+
+  // Reused locations keep the score they were published with, so an
+  // incremental run only reverse geocodes what it looked up (plus, once,
+  // any reused location that was never scored)
+  const successful = Array.from(geocodeResults.values()).filter(r => r.success);
+  const previousScore = (loc) => (loc.reused ? knownLocations.get(loc.key).verificationScore ?? null : null);
+  const verificationsNeeded = successful.filter(r => previousScore(r) == null);
+  const mismatches = [];
+  const scores = [];
+
+  const record = (loc) => {
+    if (loc.verification.score != null) scores.push(loc.verification.score);
+    if (!loc.verification.flagged) return;
+
+    mismatches.push({
+      key: loc.key,
+      original: loc.location,
+      originalCountry: loc.country,
+      coordinates: `${loc.geocoded.lat}, ${loc.geocoded.lng}`,
+      reverseGeocodedTo: loc.verification.reverseGeocodedTo,
+      score: loc.verification.score,
+      reasons: loc.verification.reasons,
+      membersAffected: loc.count,
+      members: loc.members,
+      memberIds: loc.memberIds
+    });
+  };
 
-          if (!matches) {
-            mismatches.push({
-              original: loc.location,
-              originalCountry: loc.country,
-              coordinates: `${loc.geocoded.lat}, ${loc.geocoded.lng}`,
-              reverseGeocodedTo: reverse.formattedAddress,
-              membersAffected: loc.count
-            });
-          }
-        }
+  successful.filter(r => previousScore(r) != null).forEach(loc => {
+    const score = previousScore(loc);
 
-        await delay(1000);
+    loc.verification = {
+      score,
+      flagged: score < verifier.threshold,
+      reasons: score < verifier.threshold ? [`score ${score} from a previous run`] : [],
+      reused: true
+    };
+    record(loc);
+  });
 
-      } catch (error) {
-        // Reverse geocoding failed, but that's okay for verification
-      }
-    }
+  for (let i = 0; i < verificationsNeeded.length; i++) {
+    const loc = verificationsNeeded[i];
 
-    console.log('\n');
+    try {
+      process.stdout.write(`\r   Verifying ${i + 1}/${verificationsNeeded.length}...`);
 
-    if (mismatches.length > 0) {
-      console.log(`⚠️  Found ${mismatches.length} potential mismatches in sample:\n`);
-      mismatches.forEach(m => {
-        console.log(`   📍 Original: "${m.original}" (${m.originalCountry})`);
-        console.log(`      Coords: ${m.coordinates}`);
-        console.log(`      Reverse: "${m.reverseGeocodedTo}"`);
-        console.log(`      Affects: ${m.membersAffected} team member(s)\n`);
+      loc.verification = await verifier.verify({
+        query: searchQueryFor(loc) || '',
+        country: loc.country,
+        geocoded: loc.geocoded,
+        provider: loc.provider
       });
-    } else {
-      console.log('✅ All verified locations match their coordinates!\n');
+    } catch (error) {
+      loc.verification = { score: null, flagged: true, reasons: [`verification failed: ${error.message}`] };
     }
 
-    console.log('═'.repeat(60));
-    console.log('');
+    record(loc);
+  }
 
-    // Step 5: Summary Report
-    console.log('📊 FINAL SUMMARY\n');
-    console.log(`Total locations: ${allLocations.length}`);
-    console.log(`Successfully geocoded: ${successCount} (${((successCount/allLocations.length)*100).toFixed(1)}%)`);
-    console.log(`Failed to geocode: ${failCount}`);
-    console.log(`Potentially problematic: ${problematic.length}`);
-    console.log(`Verification mismatches (in sample): ${mismatches.length}\n`);
-
-    // List failures
-    if (failCount > 0) {
-      console.log('❌ Failed locations:\n');
-      geocodeResults.forEach(result => {
-        if (!result.success) {
-          console.log(`   - "${result.location}" (${result.country}): ${result.error}`);
-          console.log(`     Affects: ${result.members.slice(0, 3).join(', ')}${result.count > 3 ? '...' : ''}\n`);
-        }
-      });
-    }
+  const averageScore = scores.length > 0
+    ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 1000) / 1000
+    : null;
+
+  console.log('\n');
+  console.log(`📏 Verified ${verificationsNeeded.length} locations (average score ${averageScore ?? 'n/a'})\n`);
+
+  if (mismatches.length > 0) {
+    console.log(`⚠️  Found ${mismatches.length} locations scoring below ${verifier.threshold}:\n`);
+    mismatches.forEach(m => {
+      console.log(`   📍 Original: "${m.original}" (${m.originalCountry})`);
+      console.log(`      Coords: ${m.coordinates}`);
+      console.log(`      Reverse: "${m.reverseGeocodedTo}"`);
+      console.log(`      Score: ${m.score ?? 'n/a'} - ${m.reasons.join('; ')}`);
+      console.log(`      Affects: ${m.membersAffected} team member(s)\n`);
+    });
+  } else {
+    console.log('✅ All verified locations match their coordinates!\n');
+  }
 
-    console.log('═'.repeat(60));
-    console.log('');
+  console.log('═'.repeat(60));
+  console.log('');
+
+  // Step 5: Summary Report
+  console.log('📊 FINAL SUMMARY\n');
+  console.log(`Total locations: ${allLocations.length}`);
+  console.log(`Successfully geocoded: ${successCount} (${((successCount/allLocations.length)*100).toFixed(1)}%)`);
+  console.log(`Reused from previous run: ${reusedCount}`);
+  console.log(`Served from geocode cache: ${cachedCount}`);
+  console.log(`Failed to geocode: ${failCount}`);
+  console.log(`Potentially problematic: ${problematic.length}`);
+  console.log(`Verification flags: ${mismatches.length} (average score ${averageScore ?? 'n/a'})\n`);
+
+  // List failures
+  if (failCount > 0) {
+    console.log('❌ Failed locations:\n');
+    geocodeResults.forEach(result => {
+      if (!result.success) {
+        console.log(`   - "${result.location}" (${result.country}): ${result.error}`);
+        console.log(`     Affects: ${result.members.slice(0, 3).join(', ')}${result.count > 3 ? '...' : ''}\n`);
+      }
+    });
+  }
 
-    // Save results for review
-    const outputPath = path.join(__dirname, '../../../geocode_results.json');
-    fs.writeFileSync(
-      outputPath,
-      JSON.stringify({
-        summary: {
-          total: allLocations.length,
-          successful: successCount,
-          failed: failCount,
-          problematic: problematic.length,
-          verificationMismatches: mismatches.length
-        },
-        problematicLocations: problematic.map(p => ({
-          location: p.location,
-          country: p.country,
-          count: p.count,
-          members: p.members
-        })),
-        failedGeocode: Array.from(geocodeResults.values())
-          .filter(r => !r.success)
-          .map(r => ({
-            location: r.location,
-            country: r.country,
-            error: r.error,
-            count: r.count,
-            members: r.members
-          })),
-        verificationMismatches: mismatches,
-        allResults: Array.from(geocodeResults.values())
-      }, null, 2)
-    );
-
-    console.log(`💾 Detailed results saved to: geocode_results.json\n`);
-    console.log('🎯 Next steps:');
-    console.log('   1. Review geocode_results.json for any issues');
-    console.log('   2. Decide how to handle failed/problematic locations');
-    console.log('   3. Run the final data processing script\n');
-
-  } catch (error) {
-    console.error('❌ Error:', error.message);
-    console.error(error.stack);
+  console.log('═'.repeat(60));
+  console.log('');
+
+  const results = {
+    summary: {
+      total: allLocations.length,
+      successful: successCount,
+      failed: failCount,
+      reused: reusedCount,
+      cached: cachedCount,
+      problematic: problematic.length,
+      verificationMismatches: mismatches.length
+    },
+    verification: {
+      threshold: verifier.threshold,
+      verified: verificationsNeeded.length,
+      flagged: mismatches.length,
+      averageScore
+    },
+    problematicLocations: problematic.map(p => ({
+      location: p.location,
+      country: p.country,
+      count: p.count,
+      members: p.members,
+      memberIds: p.memberIds
+    })),
+    failedGeocode: Array.from(geocodeResults.values())
+      .filter(r => !r.success)
+      .map(r => ({
+        location: r.location,
+        country: r.country,
+        error: r.error,
+        count: r.count,
+        members: r.members,
+        memberIds: r.memberIds
+      })),
+    verificationMismatches: mismatches,
+    allResults: Array.from(geocodeResults.values())
+  };
+
+  // Save results for review
+  if (!dryRun) {
+    fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
+    console.log(`💾 Detailed results saved to: ${outputPath}\n`);
   }
+
+  return results;
 }
 
-// Run the geocoder
-geocodeTeamData();
+// Run the geocoder when invoked directly
+if (isMainModule(import.meta.url)) {
+  geocodeTeamData({ inputPath: process.argv[2] || RAW_TEAM_PATH })
+    .then(() => {
+      console.log('🎯 Next steps:');
+      console.log('   1. Run npm run review to resolve failed/problematic locations');
+      console.log('   2. Run processTeamData.js (or use npm run pipeline next time)\n');
+    })
+    .catch((error) => {
+      console.error('❌ Error:', error.message);
+      console.error(error.stack);
+      process.exit(1);
+    });
+}
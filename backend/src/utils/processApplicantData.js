@@ -0,0 +1,65 @@
+/**
+ * Applicant Data Processor
+ *
+ * applicant.json is written by hand, except for what can be derived from
+ * it: this fills in the IANA `timezone` of every location from its
+ * coordinates, so the working-hours overlap API never has to guess.
+ *
+ * Run standalone with `node src/utils/processApplicantData.js` or as the
+ * last step of `npm run pipeline`.
+ */
+
+import fs from 'fs';
+import { APPLICANT_DATA_PATH } from '../config/paths.js';
+import { assertValid } from '../schemas/index.js';
+import { timezoneAt, utcOffsetMinutes, formatUtcOffset } from './timezones.js';
+import { isMainModule } from './cli.js';
+
+/**
+ * Add derived fields to applicant.json
+ *
+ * @param {object} [options]
+ * @param {string} [options.inputPath] - applicant.json to read
+ * @param {string} [options.outputPath] - Where to write it (defaults to inputPath)
+ * @param {boolean} [options.dryRun] - Print the changes but write nothing
+ * @returns {object} The processed applicant data
+ */
+export function processApplicantData({
+  inputPath = APPLICANT_DATA_PATH,
+  outputPath = inputPath,
+  dryRun = false
+} = {}) {
+  const applicant = JSON.parse(fs.readFileSync(inputPath, 'utf-8'));
+
+  let changed = 0;
+  const locations = applicant.locations.map(location => {
+    const timezone = timezoneAt(location.latitude, location.longitude);
+    if (timezone !== location.timezone) changed++;
+
+    console.log(`🕐 ${location.flag ?? ''} ${location.city}: ${timezone} (${formatUtcOffset(utcOffsetMinutes(timezone))})`);
+    return { ...location, timezone };
+  });
+
+  const finalData = { ...applicant, locations };
+  assertValid('applicant', finalData, 'applicant.json');
+
+  if (changed === 0) {
+    console.log('\n✅ Applicant time zones already up to date\n');
+  } else if (!dryRun) {
+    fs.writeFileSync(outputPath, JSON.stringify(finalData, null, 2) + '\n');
+    console.log(`\n💾 Applicant data saved to: ${outputPath}\n`);
+  }
+
+  return finalData;
+}
+
+// Run the processor when invoked directly
+if (isMainModule(import.meta.url)) {
+  try {
+    processApplicantData();
+  } catch (error) {
+    console.error('❌ Error processing applicant data:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
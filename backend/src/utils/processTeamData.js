@@ -3,112 +3,212 @@
  *
  * This script takes the geocoded results and creates the final team.json file
  * with all team members including their coordinates for map visualization.
+ * Manual fixes from src/data/location-overrides.json (coordinates, display
+ * labels, hidden members) are applied on top of the geocoding results.
+ *
+ * Every member is kept. Each one gets a `locationStatus` saying where their
+ * coordinates came from:
+ *   geocoded         - the geocoder found their location
+ *   override         - hand-set in location-overrides.json
+ *   country-centroid - nothing more precise than the centre of their country
+ *   unknown          - no coordinates at all (latitude/longitude are null)
+ *
+ * and a `timezone`: the IANA zone at those coordinates (null when unknown).
+ *
+ * Run standalone with `node src/utils/processTeamData.js` or as the last
+ * step of `npm run pipeline`.
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { RAW_TEAM_PATH, GEOCODE_RESULTS_PATH, TEAM_DATA_PATH } from '../config/paths.js';
+import { loadOverrides, findOverride } from '../services/locationOverrides.js';
+import { getCountry } from './countries.js';
+import { timezoneAt } from './timezones.js';
+import { assertValid } from '../schemas/index.js';
+import { overviewStats, regionStats, countHeadcount } from '../services/teamStats.js';
+import { isMainModule } from './cli.js';
+
+/**
+ * Pick a member's coordinates: override, then geocoder, then country centre
+ */
+function resolveCoordinates(member, geocoded, override) {
+  if (override?.latitude != null) {
+    return {
+      latitude: override.latitude,
+      longitude: override.longitude,
+      formattedAddress: override.label ?? geocoded?.formattedAddress ?? null,
+      locationStatus: 'override'
+    };
+  }
+
+  if (geocoded) {
+    return { ...geocoded, locationStatus: 'geocoded' };
+  }
 
-// Get current file directory
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+  const country = getCountry(member.country);
+  if (country) {
+    return {
+      latitude: country.latitude,
+      longitude: country.longitude,
+      formattedAddress: country.name,
+      locationStatus: 'country-centroid'
+    };
+  }
 
-// Paths
-const teamJsonPath = path.join(__dirname, '../../../teamJSON.txt');
-const geocodeResultsPath = path.join(__dirname, '../../../geocode_results.json');
-const outputPath = path.join(__dirname, '../data/team.json');
+  return {
+    latitude: null,
+    longitude: null,
+    formattedAddress: null,
+    locationStatus: 'unknown'
+  };
+}
 
 /**
  * Process and format team data with coordinates
+ *
+ * @param {object} [options]
+ * @param {string} [options.inputPath] - teamJSON.txt to read
+ * @param {object[]} [options.teamMembers] - Raw members (skips reading inputPath)
+ * @param {string} [options.geocodeResultsPath] - geocode_results.json to read
+ * @param {object} [options.geocodeResults] - Geocode results document (skips reading geocodeResultsPath)
+ * @param {object} [options.overrides] - Location overrides (defaults to location-overrides.json)
+ * @param {string} [options.outputPath] - Where to write team.json
+ * @param {boolean} [options.dryRun] - Skip writing team.json
+ * @returns {object} The team.json document
  */
-function processTeamData() {
+export function processTeamData({
+  inputPath = RAW_TEAM_PATH,
+  teamMembers,
+  geocodeResultsPath = GEOCODE_RESULTS_PATH,
+  geocodeResults,
+  overrides = loadOverrides(),
+  outputPath = TEAM_DATA_PATH,
+  dryRun = false
+} = {}) {
   console.log('🔧 Processing PostHog Team Data...\n');
   console.log('═'.repeat(60));
 
-  try {
-    // Read original team data
-    const teamData = JSON.parse(fs.readFileSync(teamJsonPath, 'utf-8'));
-    const teamMembers = teamData.team.teamMembers;
-
-    // Read geocoding results
-    const geocodeResults = JSON.parse(fs.readFileSync(geocodeResultsPath, 'utf-8'));
-    const locationMap = new Map();
-
-    // Build location lookup map
-    geocodeResults.allResults.forEach(result => {
-      if (result.success && result.geocoded) {
-        const key = `${result.location}|${result.country}`;
-        locationMap.set(key, {
-          latitude: result.geocoded.lat,
-          longitude: result.geocoded.lng,
-          formattedAddress: result.geocoded.formattedAddress
-        });
-      }
-    });
-
-    console.log(`📍 Loaded ${locationMap.size} geocoded locations\n`);
-
-    // Process each team member
-    let processed = 0;
-    let skipped = 0;
-
-    const processedMembers = teamMembers.map(member => {
-      const locationKey = `${member.location}|${member.country}`;
-      const coords = locationMap.get(locationKey);
-
-      if (coords) {
-        processed++;
-        return {
-          id: member.squeakId,
-          name: `${member.firstName} ${member.lastName}`,
-          firstName: member.firstName,
-          lastName: member.lastName,
-          role: member.companyRole,
-          location: member.location,
-          country: member.country,
-          latitude: coords.latitude,
-          longitude: coords.longitude,
-          formattedAddress: coords.formattedAddress,
-          avatar: member.avatar?.url || null,
-          biography: member.biography,
-          color: member.color,
-          pronouns: member.pronouns,
-          pineappleOnPizza: member.pineappleOnPizza,
-          startDate: member.startDate,
-          teams: member.teams?.data?.map(t => ({
-            id: t.id,
-            name: t.attributes?.name,
-            slug: t.attributes?.slug
-          })) || [],
-          leadTeams: member.leadTeams?.data?.map(t => ({
-            name: t.attributes?.name
-          })) || []
-        };
-      } else {
-        skipped++;
-        console.warn(`⚠️  No coordinates found for: ${member.firstName} ${member.lastName} (${member.location}, ${member.country})`);
-        return null;
-      }
-    }).filter(m => m !== null);
-
-    console.log(`✅ Processed ${processed} team members`);
-    if (skipped > 0) {
-      console.log(`⚠️  Skipped ${skipped} team members (no coordinates)\n`);
-    } else {
-      console.log('✅ All team members have coordinates!\n');
+  // Read original team data
+  if (!teamMembers) {
+    const teamData = JSON.parse(fs.readFileSync(inputPath, 'utf-8'));
+    teamMembers = teamData.team.teamMembers;
+  }
+
+  // Read geocoding results
+  if (!geocodeResults) {
+    geocodeResults = JSON.parse(fs.readFileSync(geocodeResultsPath, 'utf-8'));
+  }
+  const locationMap = new Map();
+
+  // Build location lookup map
+  geocodeResults.allResults.forEach(result => {
+    if (result.success && result.geocoded) {
+      const key = `${result.location}|${result.country}`;
+      locationMap.set(key, {
+        latitude: result.geocoded.lat,
+        longitude: result.geocoded.lng,
+        formattedAddress: result.geocoded.formattedAddress
+      });
     }
+  });
+
+  console.log(`📍 Loaded ${locationMap.size} geocoded locations\n`);
+
+  // Verification scores per location key, so API consumers can judge the pins
+  const verification = geocodeResults.verification
+    ? {
+      ...geocodeResults.verification,
+      scores: Object.fromEntries(
+        geocodeResults.allResults
+          .filter(result => result.verification)
+          .map(result => [`${result.location}|${result.country}`, result.verification.score])
+      )
+    }
+    : null;
+
+  // Process each team member
+  let overridden = 0;
 
-    // Create final data structure
-    const finalData = {
-      metadata: {
-        totalMembers: processedMembers.length,
-        lastUpdated: new Date().toISOString(),
-        source: 'posthog.com/people',
-        dataVersion: '1.0'
-      },
-      team: processedMembers
+  const processedMembers = teamMembers.map(member => {
+    const locationKey = `${member.location}|${member.country}`;
+
+    // Manual overrides win over whatever the geocoder found
+    const override = findOverride(overrides, member)?.entry;
+    const coords = resolveCoordinates(member, locationMap.get(locationKey), override);
+
+    if (override) overridden++;
+
+    if (coords.locationStatus === 'country-centroid') {
+      console.warn(`⚠️  Using country centre for: ${member.firstName} ${member.lastName} (${member.location}, ${member.country})`);
+    } else if (coords.locationStatus === 'unknown') {
+      console.warn(`⚠️  No coordinates found for: ${member.firstName} ${member.lastName} (${member.location}, ${member.country})`);
+    }
+
+    return {
+      id: member.squeakId,
+      name: `${member.firstName} ${member.lastName}`,
+      firstName: member.firstName,
+      lastName: member.lastName,
+      role: member.companyRole,
+      location: member.location,
+      country: member.country,
+      latitude: coords.latitude,
+      longitude: coords.longitude,
+      formattedAddress: coords.formattedAddress,
+      locationStatus: coords.locationStatus,
+      timezone: timezoneAt(coords.latitude, coords.longitude),
+      locationLabel: override?.label ?? null,
+      hidden: override?.hidden === true,
+      avatar: member.avatar?.url || null,
+      biography: member.biography,
+      color: member.color,
+      pronouns: member.pronouns,
+      pineappleOnPizza: member.pineappleOnPizza,
+      startDate: member.startDate,
+      teams: member.teams?.data?.map(t => ({
+        id: t.id,
+        name: t.attributes?.name,
+        slug: t.attributes?.slug
+      })) || [],
+      leadTeams: member.leadTeams?.data?.map(t => ({
+        name: t.attributes?.name
+      })) || []
     };
+  });
+
+  const headcount = countHeadcount(processedMembers);
+
+  console.log(`✅ Processed ${headcount.total} team members`);
+  if (overridden > 0) {
+    console.log(`📌 Applied ${overridden} location overrides (${headcount.hidden} hidden from map)`);
+  }
+  if (headcount.byLocationStatus['country-centroid'] > 0) {
+    console.log(`🏳️  ${headcount.byLocationStatus['country-centroid']} placed at their country centre`);
+  }
+  if (headcount.byLocationStatus.unknown > 0) {
+    console.log(`⚠️  ${headcount.byLocationStatus.unknown} team members have no coordinates (kept, unmapped)\n`);
+  } else {
+    console.log('✅ All team members have coordinates!\n');
+  }
 
+  // Create final data structure
+  const finalData = {
+    metadata: {
+      totalMembers: headcount.total,
+      headcount,
+      verification,
+      lastUpdated: new Date().toISOString(),
+      source: 'posthog.com/people',
+      dataVersion: '1.0'
+    },
+    team: processedMembers
+  };
+
+  // Never publish a team.json the API would refuse to serve
+  assertValid('team', finalData, 'team.json');
+
+  if (!dryRun) {
     // Ensure data directory exists
     const dataDir = path.dirname(outputPath);
     if (!fs.existsSync(dataDir)) {
@@ -120,48 +220,35 @@ function processTeamData() {
 
     console.log('═'.repeat(60));
     console.log(`\n💾 Team data saved to: ${outputPath}\n`);
+  }
 
-    // Print statistics
-    console.log('📊 Data Statistics:\n');
-    console.log(`   Total team members: ${processedMembers.length}`);
-
-    const countries = [...new Set(processedMembers.map(m => m.country))];
-    console.log(`   Countries represented: ${countries.length}`);
-
-    const roles = [...new Set(processedMembers.map(m => m.role))];
-    console.log(`   Unique roles: ${roles.length}`);
-
-    const withAvatar = processedMembers.filter(m => m.avatar).length;
-    console.log(`   Members with avatars: ${withAvatar}/${processedMembers.length} (${((withAvatar/processedMembers.length)*100).toFixed(1)}%)`);
+  // Print statistics (same numbers as /api/stats)
+  const overview = overviewStats(processedMembers);
+  console.log('📊 Data Statistics:\n');
+  console.log(`   Total team members: ${overview.totalMembers}`);
+  console.log(`   Countries represented: ${overview.countries}`);
+  console.log(`   Unique roles: ${overview.uniqueRoles}`);
+  console.log(`   Members with avatars: ${overview.avatarCoverage.count}/${overview.totalMembers} (${overview.avatarCoverage.percent}%)`);
+  console.log(`   Members with bio: ${overview.bioCoverage.count}/${overview.totalMembers} (${overview.bioCoverage.percent}%)`);
 
-    const withBio = processedMembers.filter(m => m.biography).length;
-    console.log(`   Members with bio: ${withBio}/${processedMembers.length} (${((withBio/processedMembers.length)*100).toFixed(1)}%)`);
+  console.log(`\n🌍 Members by continent:\n`);
+  regionStats(processedMembers).forEach(region => {
+    console.log(`   ${region.continent}: ${region.count} members`);
+  });
 
-    // Sample locations by region
-    console.log(`\n🌍 Sample locations by region:\n`);
-    const regions = {
-      'North America': processedMembers.filter(m => m.country === 'US' || m.country === 'CA'),
-      'Europe': processedMembers.filter(m => ['GB', 'DE', 'FR', 'ES', 'NL', 'BE', 'PL', 'NO', 'DK', 'AT', 'FI', 'IE', 'CZ', 'HR', 'HU', 'BG', 'GR'].includes(m.country)),
-      'South America': processedMembers.filter(m => ['BR', 'AR', 'UY', 'CL', 'CO'].includes(m.country)),
-      'Other': processedMembers.filter(m => !['US', 'CA', 'GB', 'DE', 'FR', 'ES', 'NL', 'BE', 'PL', 'NO', 'DK', 'AT', 'FI', 'IE', 'CZ', 'HR', 'HU', 'BG', 'GR', 'BR', 'AR', 'UY', 'CL', 'CO'].includes(m.country))
-    };
+  console.log('\n' + '═'.repeat(60));
+  console.log('\n✨ Ready for the API!\n');
 
-    Object.entries(regions).forEach(([region, members]) => {
-      console.log(`   ${region}: ${members.length} members`);
-    });
-
-    console.log('\n═'.repeat(60));
-    console.log('\n✨ Ready for the API!\n');
-    console.log('🎯 Next steps:');
-    console.log('   1. Create API routes to serve team data');
-    console.log('   2. Create applicant.json with your profile');
-    console.log('   3. Test the API endpoints\n');
+  return finalData;
+}
 
+// Run the processor when invoked directly
+if (isMainModule(import.meta.url)) {
+  try {
+    processTeamData();
   } catch (error) {
     console.error('❌ Error processing data:', error.message);
     console.error(error.stack);
+    process.exit(1);
   }
 }
-
-// Run the processor
-processTeamData();
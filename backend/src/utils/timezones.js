@@ -0,0 +1,61 @@
+/**
+ * IANA time zone helpers
+ *
+ * Zones are looked up offline from coordinates with geo-tz's boundary data;
+ * offsets come from Intl, so no tz database of our own is needed.
+ */
+
+import { find } from 'geo-tz';
+
+/**
+ * IANA time zone at a point, e.g. "Europe/Lisbon"
+ *
+ * Where boundaries meet (or at the poles, where every zone does) a named
+ * zone is preferred; failing that, the nautical zone for the longitude.
+ *
+ * @returns {string|null} null when the coordinates are missing
+ */
+export function timezoneAt(latitude, longitude) {
+  if (latitude == null || longitude == null) return null;
+
+  const zones = find(latitude, longitude);
+  const named = zones.find(zone => !zone.startsWith('Etc/'));
+  if (named) return named;
+  if (zones.length === 1) return zones[0];
+
+  // Etc/GMT signs are inverted: Etc/GMT-1 is UTC+01:00
+  const hours = Math.round(longitude / 15);
+  if (hours === 0) return 'Etc/GMT';
+  return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+}
+
+/**
+ * Current UTC offset of a time zone in minutes, e.g. 60 for Europe/Lisbon
+ * in summer, -180 for America/Sao_Paulo. Returns null for unknown zones.
+ */
+export function utcOffsetMinutes(timeZone, date = new Date()) {
+  try {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+      .formatToParts(date)
+      .find(part => part.type === 'timeZoneName').value;
+
+    const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+    if (!match) return 0; // plain "GMT"
+
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Format an offset in minutes as "UTC+05:30"
+ */
+export function formatUtcOffset(minutes) {
+  if (minutes == null) return null;
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  const hours = String(Math.floor(abs / 60)).padStart(2, '0');
+  return `UTC${sign}${hours}:${String(abs % 60).padStart(2, '0')}`;
+}
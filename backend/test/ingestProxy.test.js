@@ -0,0 +1,157 @@
+/**
+ * Analytics ingest proxy: IP scrubbing, disk buffering while the upstream is
+ * down, replay once it's back, and the per-client rate limit - against a
+ * local upstream stub
+ *
+ * Run with `npm test`.
+ */
+
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Fastify from 'fastify';
+import rateLimit from '@fastify/rate-limit';
+import ingestProxy from '../src/plugins/ingestProxy.js';
+import { hashIp } from '../src/services/ingestPayload.js';
+
+// What the stub upstream received, and the status it answers with
+const received = [];
+let upstreamStatus = 200;
+
+let upstream;
+let upstreamUrl;
+let bufferDir;
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (upstreamStatus < 500) {
+        received.push({ url: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString() || 'null') });
+      }
+      res.writeHead(upstreamStatus, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 1 }));
+    });
+  });
+
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+});
+
+after(() => new Promise(resolve => upstream.close(resolve)));
+
+beforeEach(() => {
+  received.length = 0;
+  upstreamStatus = 200;
+  bufferDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-buffer-'));
+});
+
+afterEach(() => fs.rmSync(bufferDir, { recursive: true, force: true }));
+
+async function buildApp(options = {}) {
+  const app = Fastify();
+  await app.register(rateLimit, { global: false });
+  await app.register(ingestProxy, {
+    prefix: '/api/ingest',
+    upstream: upstreamUrl,
+    bufferDir,
+    flushIntervalMs: 60000,
+    ...options
+  });
+  return app;
+}
+
+const capture = (app, events) => app.inject({
+  method: 'POST',
+  url: '/api/ingest/batch/',
+  headers: { 'content-type': 'application/json', 'x-forwarded-for': '203.0.113.7' },
+  payload: JSON.stringify({ batch: events })
+});
+
+const event = (name) => ({ event: name, properties: { distinct_id: 'max', $ip: '203.0.113.7' } });
+
+const bufferedFiles = () => fs.readdirSync(bufferDir).filter(name => !name.endsWith('.tmp'));
+
+async function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('strip mode removes $ip and never forwards client IP headers', async (t) => {
+  const app = await buildApp({ ipMode: 'strip' });
+  t.after(() => app.close());
+
+  const res = await capture(app, [event('pageview')]);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(received.length, 1);
+  const [forwarded] = received[0].body.batch;
+  assert.equal(forwarded.properties.$ip, undefined);
+  assert.equal(forwarded.properties.$ip_hash, undefined);
+  assert.equal(forwarded.properties.distinct_id, 'max');
+  assert.equal(received[0].headers['x-forwarded-for'], undefined);
+});
+
+test('hash mode swaps $ip for a salted hash', async (t) => {
+  const app = await buildApp({ ipMode: 'hash', ipSalt: 'pepper' });
+  t.after(() => app.close());
+
+  await capture(app, [event('pageview')]);
+
+  const [forwarded] = received[0].body.batch;
+  assert.equal(forwarded.properties.$ip, undefined);
+  assert.equal(forwarded.properties.$ip_hash, hashIp('127.0.0.1', 'pepper'));
+});
+
+test('buffers events to disk while the upstream is down and replays them once it is back', async (t) => {
+  const app = await buildApp();
+  t.after(() => app.close());
+
+  upstreamStatus = 503;
+  const down = await capture(app, [event('while-down')]);
+
+  assert.equal(down.statusCode, 200);
+  assert.deepEqual(down.json(), { status: 1 });
+  assert.equal(bufferedFiles().length, 1);
+
+  // Buffered events are scrubbed before they touch the disk
+  const stored = JSON.parse(fs.readFileSync(path.join(bufferDir, bufferedFiles()[0]), 'utf-8'));
+  assert.equal(JSON.parse(Buffer.from(stored.body, 'base64')).batch[0].properties.$ip, undefined);
+
+  upstreamStatus = 200;
+  await capture(app, [event('back-up')]);
+  await waitFor(() => bufferedFiles().length === 0);
+
+  assert.deepEqual(received.map(r => r.body.batch[0].event), ['back-up', 'while-down']);
+});
+
+test('flushes the buffer on its interval without new traffic', async (t) => {
+  const app = await buildApp({ flushIntervalMs: 50 });
+  t.after(() => app.close());
+
+  upstreamStatus = 503;
+  await capture(app, [event('queued')]);
+  assert.equal(bufferedFiles().length, 1);
+
+  upstreamStatus = 200;
+  await waitFor(() => bufferedFiles().length === 0);
+  assert.deepEqual(received.map(r => r.body.batch[0].event), ['queued']);
+});
+
+test('rate limits each client', async (t) => {
+  const app = await buildApp({ rateLimitMax: 2 });
+  t.after(() => app.close());
+
+  upstreamStatus = 503;
+  assert.equal((await capture(app, [event('one')])).statusCode, 200);
+  assert.equal((await capture(app, [event('two')])).statusCode, 200);
+  assert.equal((await capture(app, [event('three')])).statusCode, 429);
+  assert.equal(bufferedFiles().length, 2);
+});
@@ -0,0 +1,109 @@
+/**
+ * Scraper pagination and retry handling, against a local fixture server
+ *
+ * Run with `npm test`.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { scrapeTeam } from '../src/services/scraper.js';
+
+const member = (id) => ({ squeakId: id, firstName: 'Max', lastName: `Hedgehog ${id}`, location: 'London', country: 'GB' });
+
+const strapiPage = (page, ids) => JSON.stringify({
+  data: ids.map(id => ({ id, attributes: { firstName: 'Max', lastName: `Hedgehog ${id}` } })),
+  meta: { pagination: { page, pageSize: 2, pageCount: 2 } }
+});
+
+const htmlPage = (ids, next) => `<!doctype html><html><body>
+  <script type="application/json">${JSON.stringify({ teamMembers: ids.map(member) })}</script>
+  ${next ? `<a rel="next" href="${next}">Next</a>` : ''}
+</body></html>`;
+
+// Requests seen per path (with query), and failures still to serve before the real page
+const requests = [];
+let failures = {};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const key = url.pathname + url.search;
+    requests.push({ key, at: Date.now() });
+
+    const failure = failures[key]?.shift();
+    if (failure) {
+      res.writeHead(failure.status, failure.headers);
+      return res.end('nope');
+    }
+
+    if (url.pathname === '/strapi') {
+      const page = Number(url.searchParams.get('pagination[page]') || 1);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(page === 1 ? strapiPage(1, [1, 2]) : strapiPage(2, [3, 2]));
+    }
+    if (url.pathname === '/people') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(htmlPage([1, 2], '/people/2'));
+    }
+    if (url.pathname === '/people/2') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(htmlPage([3]));
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const scrape = (peoplePath, options = {}) => {
+  requests.length = 0;
+  return scrapeTeam({ baseUrl, peoplePath, outputPath: null, retryDelay: 10, ...options });
+};
+
+test('follows Strapi pagination and waits out a 429 for its Retry-After', async () => {
+  const secondPage = '/strapi?pagination%5Bpage%5D=2&pagination%5BpageSize%5D=2';
+  failures = { [secondPage]: [{ status: 429, headers: { 'Retry-After': '1' } }] };
+
+  const { teamMembers, pages } = await scrape('/strapi');
+
+  assert.equal(pages, 2);
+  assert.deepEqual(teamMembers.map(m => m.squeakId).sort(), [1, 2, 3]);
+
+  const attempts = requests.filter(r => r.key === secondPage);
+  assert.equal(attempts.length, 2);
+  // Retry-After (1s), not the 10ms backoff
+  assert.ok(attempts[1].at - attempts[0].at >= 900, `retried after ${attempts[1].at - attempts[0].at}ms`);
+});
+
+test('follows rel="next" links and retries server errors with backoff', async () => {
+  failures = { '/people/2': [{ status: 503 }, { status: 500 }] };
+
+  const { teamMembers, pages } = await scrape('/people');
+
+  assert.equal(pages, 2);
+  assert.deepEqual(teamMembers.map(m => m.squeakId), [1, 2, 3]);
+  assert.equal(requests.filter(r => r.key === '/people/2').length, 3);
+});
+
+test('gives up once the retries are used', async () => {
+  failures = { '/people': [{ status: 500 }, { status: 500 }, { status: 500 }] };
+
+  await assert.rejects(scrape('/people', { retries: 2 }), /Request to .*\/people failed/);
+  assert.equal(requests.length, 3);
+});
+
+test('does not retry client errors', async () => {
+  failures = {};
+
+  await assert.rejects(scrape('/missing'), /failed: Request failed with status code 404/);
+  assert.equal(requests.length, 1);
+});
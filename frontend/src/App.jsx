@@ -1,13 +1,29 @@
 import { QueryClientProvider } from '@tanstack/react-query';
+import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import { queryClient } from './lib/queryClient';
 import MapView from './components/MapView';
+import MemberPanel from './components/MemberPanel';
+import TeamPanel from './components/TeamPanel';
+import ApplicantPanel from './components/ApplicantPanel';
+import Doomsday404 from './components/Doomsday404';
 
 function App() {
   return (
     <QueryClientProvider client={queryClient}>
-      <div className="h-screen w-screen">
-        <MapView />
-      </div>
+      <BrowserRouter>
+        <div className="h-screen w-screen">
+          {/* Detail panels open over the map, so every route keeps it mounted */}
+          <Routes>
+            <Route path="/" element={<MapView />}>
+              <Route path="member/:id" element={<MemberPanel />} />
+              <Route path="team/:slug" element={<TeamPanel />} />
+              <Route path="applicant" element={<ApplicantPanel />} />
+            </Route>
+            <Route path="/doomsday" element={<Doomsday404 />} />
+            <Route path="*" element={<Doomsday404 />} />
+          </Routes>
+        </div>
+      </BrowserRouter>
     </QueryClientProvider>
   );
 }
@@ -0,0 +1,290 @@
+import { useEffect, useRef } from 'react';
+import MapLink from './MapLink';
+import { useApplicant, useApplicantComparison, useApplicantNearest } from '../hooks/useApplicant';
+import DetailPanel from './DetailPanel';
+import Avatar from './Avatar';
+import HireButtons from './HireButtons';
+import { trackApplicantSectionViewed } from '../lib/analytics';
+
+const TOP_TEAMS = 3;
+
+// "yearsOfExperience" -> "Years of experience"
+const humanize = (key) => {
+  const words = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// "Where I'd fit" -> "where-i-d-fit"
+const sectionId = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+function Section({ title, children }) {
+  const ref = useRef(null);
+
+  // Report each section the first time at least half of it is on screen
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (!entry.isIntersecting) return;
+      trackApplicantSectionViewed(sectionId(title));
+      observer.disconnect();
+    }, { threshold: 0.5 });
+
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [title]);
+
+  return (
+    <section ref={ref} className="mt-5">
+      <h3 className="mb-2 text-sm font-bold uppercase tracking-wide text-gray-500">{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+function Chips({ items }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {items.map((item) => (
+        <span key={item} className="rounded-full bg-gray-100 px-2 py-0.5 text-xs text-gray-700">{item}</span>
+      ))}
+    </div>
+  );
+}
+
+function MemberLink({ member, detail }) {
+  return (
+    <MapLink to={`/member/${member.id}`} className="flex items-center gap-2 rounded p-1 text-sm hover:bg-gray-100">
+      <Avatar id={member.id} size={96} className="h-7 w-7" />
+      <span className="font-semibold text-gray-800">{member.name}</span>
+      {detail && <span className="text-xs text-gray-500">{detail}</span>}
+    </MapLink>
+  );
+}
+
+/**
+ * Lisbon/Brasília split as one bar, sized by each location's percentage
+ */
+function LocationSplit({ locations }) {
+  return (
+    <div>
+      <div className="flex h-3 overflow-hidden rounded-full">
+        {locations.map((location, idx) => (
+          <div
+            key={location.city}
+            className={idx % 2 === 0 ? 'bg-posthog-purple' : 'bg-posthog-yellow'}
+            style={{ width: `${location.percentage}%` }}
+          />
+        ))}
+      </div>
+      <ul className="mt-2 space-y-1 text-sm">
+        {locations.map((location) => (
+          <li key={location.city} className="text-gray-700">
+            {location.flag} {location.city}, {location.country} · {location.percentage}%
+            {location.isPrimary && <span className="ml-1 text-xs font-semibold text-posthog-purple">Primary</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function TeamComparison() {
+  const { data: comparison } = useApplicantComparison();
+  const { data: nearest } = useApplicantNearest();
+
+  return (
+    <>
+      {comparison?.skillOverlap.length > 0 && (
+        <Section title="Where I'd fit">
+          <ul className="space-y-2">
+            {comparison.skillOverlap.slice(0, TOP_TEAMS).map((team) => (
+              <li key={team.slug || team.name} className="text-sm">
+                {team.slug ? (
+                  <MapLink to={`/team/${team.slug}`} className="font-semibold text-posthog-blue">{team.name}</MapLink>
+                ) : (
+                  <span className="font-semibold">{team.name}</span>
+                )}
+                <span className="text-gray-500">
+                  {' · '}
+                  {team.sameRole > 0 && `${team.sameRole}/${team.members} share my role`}
+                  {team.sameRole > 0 && team.matchedTerms.length > 0 && ', '}
+                  {team.matchedTerms.length > 0 && `also into ${team.matchedTerms.map((t) => t.term).join(', ')}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </Section>
+      )}
+
+      {nearest?.length > 0 && (
+        <Section title="Nearest colleagues">
+          {nearest.map(({ location, nearest: members }) => (
+            <div key={location.city} className="mb-2">
+              <p className="text-xs font-semibold text-gray-600">From {location.flag} {location.city}</p>
+              {members.map(({ member, distanceKm }) => (
+                <MemberLink key={member.id} member={member} detail={`${Math.round(distanceKm)} km`} />
+              ))}
+            </div>
+          ))}
+        </Section>
+      )}
+
+      {comparison?.sharedCountries.length > 0 && (
+        <Section title="Same country">
+          {comparison.sharedCountries.map((shared) => (
+            <div key={shared.countryCode} className="mb-2">
+              <p className="text-xs font-semibold text-gray-600">
+                {shared.country}: {shared.count === 0 ? 'nobody yet - I would be the first!' : `${shared.count} teammates`}
+              </p>
+              {shared.members.map((member) => (
+                <MemberLink key={member.id} member={member} detail={member.location} />
+              ))}
+            </div>
+          ))}
+        </Section>
+      )}
+    </>
+  );
+}
+
+/**
+ * /applicant - the whole of applicant.json, plus how it compares with the team
+ */
+export default function ApplicantPanel() {
+  const { data: applicant, isLoading, error } = useApplicant();
+
+  return (
+    <DetailPanel isLoading={isLoading} error={error}>
+      {applicant && (
+        <>
+          <div className="flex items-center gap-4 pr-6">
+            <Avatar id={applicant.id} size={192} className="h-20 w-20" />
+            <div>
+              <h2 className="text-xl font-bold text-posthog-purple">{applicant.name}</h2>
+              <p className="text-sm text-gray-600">{applicant.role}</p>
+              <div className="mt-1 flex flex-wrap gap-3 text-xs">
+                {applicant.email && <a href={`mailto:${applicant.email}`} className="text-posthog-blue underline">Email</a>}
+                {applicant.github && <a href={applicant.github} target="_blank" rel="noreferrer" className="text-posthog-blue underline">GitHub</a>}
+                {applicant.linkedin && <a href={applicant.linkedin} target="_blank" rel="noreferrer" className="text-posthog-blue underline">LinkedIn</a>}
+              </div>
+            </div>
+          </div>
+
+          <Section title="Where I work from">
+            <LocationSplit locations={applicant.locations} />
+          </Section>
+
+          {applicant.bio && (
+            <Section title="About">
+              <p className="text-sm leading-relaxed text-gray-700">{applicant.bio}</p>
+            </Section>
+          )}
+
+          {applicant.whyPostHog && (
+            <Section title="Why PostHog">
+              <p className="text-sm leading-relaxed text-gray-700">{applicant.whyPostHog}</p>
+            </Section>
+          )}
+
+          <TeamComparison />
+
+          {applicant.skills?.length > 0 && (
+            <Section title="Skills">
+              <Chips items={applicant.skills} />
+            </Section>
+          )}
+
+          {applicant.techStack && (
+            <Section title="Tech stack">
+              <dl className="space-y-2">
+                {Object.entries(applicant.techStack).map(([area, tools]) => (
+                  <div key={area}>
+                    <dt className="mb-1 text-xs font-semibold text-gray-600">{humanize(area)}</dt>
+                    <dd><Chips items={tools} /></dd>
+                  </div>
+                ))}
+              </dl>
+            </Section>
+          )}
+
+          {applicant.stats && (
+            <Section title="By the numbers">
+              <dl className="grid grid-cols-2 gap-2">
+                {Object.entries(applicant.stats).map(([key, value]) => (
+                  <div key={key} className="rounded bg-gray-50 p-2">
+                    <dd className="text-lg font-bold text-gray-900">{value}</dd>
+                    <dt className="text-xs text-gray-500">{humanize(key)}</dt>
+                  </div>
+                ))}
+              </dl>
+            </Section>
+          )}
+
+          {applicant.highlights?.length > 0 && (
+            <Section title="Highlights">
+              <ul className="space-y-2">
+                {applicant.highlights.map((highlight) => (
+                  <li key={highlight.title} className="text-sm">
+                    <p className="font-semibold text-gray-800">{highlight.title}</p>
+                    <p className="text-gray-600">{highlight.description}</p>
+                    {highlight.impact && <p className="text-xs font-semibold text-posthog-blue">{highlight.impact}</p>}
+                  </li>
+                ))}
+              </ul>
+            </Section>
+          )}
+
+          {applicant.experience?.length > 0 && (
+            <Section title="Experience">
+              <ul className="space-y-2">
+                {applicant.experience.map((job) => (
+                  <li key={`${job.company}-${job.period}`} className="text-sm">
+                    <p className="font-semibold text-gray-800">{job.role} · {job.company}</p>
+                    <p className="text-xs text-gray-500">{[job.period, job.type].filter(Boolean).join(' · ')}</p>
+                    {job.description && <p className="text-gray-600">{job.description}</p>}
+                  </li>
+                ))}
+              </ul>
+            </Section>
+          )}
+
+          {applicant.education?.length > 0 && (
+            <Section title="Education">
+              <ul className="space-y-2">
+                {applicant.education.map((course) => (
+                  <li key={course.degree} className="text-sm">
+                    <p className="font-semibold text-gray-800">{course.degree}</p>
+                    <p className="text-xs text-gray-500">
+                      {[course.school, course.year, course.hours && `${course.hours} hours`].filter(Boolean).join(' · ')}
+                    </p>
+                    {course.focus && <p className="text-gray-600">{course.focus}</p>}
+                  </li>
+                ))}
+              </ul>
+            </Section>
+          )}
+
+          {applicant.funFacts?.length > 0 && (
+            <Section title="Fun facts">
+              <ul className="list-disc space-y-1 pl-5 text-sm text-gray-700">
+                {applicant.funFacts.map((fact) => <li key={fact}>{fact}</li>)}
+              </ul>
+            </Section>
+          )}
+
+          {applicant.pineappleOnPizza != null && (
+            <p className="mt-5 text-sm text-gray-600">
+              🍍 Pineapple on pizza: <span className="font-semibold">{applicant.pineappleOnPizza ? 'yes' : 'absolutely not'}</span>
+            </p>
+          )}
+
+          <div className="mt-6 border-t border-gray-200">
+            <HireButtons />
+          </div>
+        </>
+      )}
+    </DetailPanel>
+  );
+}
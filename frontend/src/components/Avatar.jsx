@@ -0,0 +1,18 @@
+import { avatarUrl } from '../lib/avatars';
+
+/**
+ * Round avatar served by /api/avatars - pick `size` at about twice the
+ * rendered width so it stays sharp on high-DPI screens
+ */
+export default function Avatar({ id, size = 96, className = '' }) {
+  return (
+    <img
+      src={avatarUrl(id, { size, shape: 'circle' })}
+      alt=""
+      loading="lazy"
+      width={size}
+      height={size}
+      className={`shrink-0 rounded-full object-cover ${className}`}
+    />
+  );
+}
@@ -0,0 +1,85 @@
+import { useTeamFacets } from '../hooks/useTeam';
+import { LINE_MODES } from '../hooks/useConnectionSettings';
+import { heatColor } from '../lib/connectionStyle';
+
+const LIMITS = [1, 3, 5, 10];
+
+/**
+ * Picks what the connection lines show
+ *
+ * @param {object} props
+ * @param {object} props.settings - From useConnectionSettings
+ * @param {(changes: object) => void} props.onChange - useConnectionSettings update
+ */
+export default function ConnectionControls({ settings, onChange }) {
+  const { data: facets } = useTeamFacets({});
+  const teams = [...(facets?.teams || [])].sort((a, b) => a.name.localeCompare(b.name));
+  const picksTeam = settings.mode === 'team' || settings.mode === 'heat';
+
+  return (
+    <div className="absolute left-1/2 top-3 z-[1000] w-60 -translate-x-1/2 rounded-lg bg-white/95 p-3 text-xs shadow-lg">
+      <label className="flex items-center justify-between gap-2">
+        <span className="font-semibold text-gray-800">Lines from the +1</span>
+        <select
+          value={settings.mode ?? ''}
+          onChange={(event) => onChange({ mode: event.target.value || null })}
+          className="rounded border border-gray-300 px-1 py-0.5"
+        >
+          <option value="">Off</option>
+          {Object.entries(LINE_MODES).map(([mode, label]) => (
+            <option key={mode} value={mode}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {settings.mode === 'closest' && (
+        <div className="mt-2 flex items-center gap-1 text-gray-600">
+          Closest
+          {LIMITS.map((limit) => (
+            <button
+              key={limit}
+              type="button"
+              onClick={() => onChange({ limit })}
+              className={`rounded px-1.5 py-0.5 ${settings.limit === limit ? 'bg-gray-800 text-white' : 'hover:bg-gray-100'}`}
+            >
+              {limit}
+            </button>
+          ))}
+          to each city
+        </div>
+      )}
+
+      {picksTeam && (
+        <select
+          value={settings.team}
+          onChange={(event) => onChange({ team: event.target.value })}
+          className="mt-2 w-full rounded border border-gray-300 px-1 py-0.5"
+        >
+          <option value="">Pick a team…</option>
+          {teams.map((team) => (
+            <option key={team.slug} value={team.slug}>{team.name}</option>
+          ))}
+        </select>
+      )}
+
+      {settings.mode === 'heat' && (
+        <div className="mt-2">
+          <div
+            className="h-2 rounded"
+            style={{ background: `linear-gradient(to right, ${heatColor(0)}, ${heatColor(0.5)}, ${heatColor(1)})` }}
+          />
+          <div className="mt-0.5 flex justify-between text-gray-500">
+            <span>No shared hours</span>
+            <span>Whole day</span>
+          </div>
+        </div>
+      )}
+
+      {settings.mode === 'members' && (
+        <p className="mt-2 text-gray-500">
+          {settings.ids.length} chosen - add teammates from their profile
+        </p>
+      )}
+    </div>
+  );
+}
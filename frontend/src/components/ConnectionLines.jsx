@@ -0,0 +1,51 @@
+import { Polyline, Tooltip } from 'react-leaflet';
+import { useApplicantConnections } from '../hooks/useApplicant';
+import { greatCirclePoints } from '../lib/geodesic';
+import { APPLICANT_LINE_COLOR, heatColor, formatDistance, formatOffset } from '../lib/connectionStyle';
+
+// Above this many lines, labels only show on hover
+const MAX_PERMANENT_LABELS = 12;
+
+/**
+ * Great-circle arcs from the applicant's locations to teammates
+ *
+ * @param {object} props
+ * @param {object} props.settings - From useConnectionSettings
+ */
+export default function ConnectionLines({ settings }) {
+  const { data } = useApplicantConnections(settings);
+  if (!settings.mode || !data) return null;
+
+  const heat = settings.mode === 'heat';
+  const lineCount = data.locations.reduce((sum, { connections }) => sum + connections.length, 0);
+  const permanentLabels = !heat && lineCount <= MAX_PERMANENT_LABELS;
+
+  return data.locations.flatMap(({ location, connections }) =>
+    connections.map((connection) => {
+      const { member } = connection;
+      const color = heat ? heatColor(connection.weight) : APPLICANT_LINE_COLOR;
+
+      return (
+        <Polyline
+          key={`${location.city}-${member.id}`}
+          positions={greatCirclePoints([location.latitude, location.longitude], [member.latitude, member.longitude])}
+          pathOptions={{
+            color,
+            weight: heat ? 1.5 + connection.weight * 3.5 : location.isPrimary ? 2.5 : 1.5,
+            opacity: heat ? 0.35 + connection.weight * 0.6 : 0.8,
+            dashArray: heat || location.isPrimary ? null : '6 6',
+          }}
+        >
+          <Tooltip permanent={permanentLabels} sticky={!permanentLabels} direction="center" className="text-xs">
+            <span className="font-semibold">{member.name}</span>
+            {' · '}
+            {formatDistance(connection.distanceKm)} from {location.city}
+            {' · '}
+            {formatOffset(connection.offsetMinutes)}
+            {heat && connection.overlapHours != null && ` · ${connection.overlapHours}h shared`}
+          </Tooltip>
+        </Polyline>
+      );
+    })
+  );
+}
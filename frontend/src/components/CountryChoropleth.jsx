@@ -0,0 +1,41 @@
+import { GeoJSON } from 'react-leaflet';
+import { useQuery } from '@tanstack/react-query';
+import { headcountColor } from '../lib/mapModes';
+
+// Bundled, but only fetched the first time the choropleth is shown
+// (regenerate with `npm run world-geojson` in backend/)
+const loadCountries = () => import('../assets/world-countries.json').then((module) => module.default);
+
+/**
+ * Countries shaded by how many teammates live there
+ *
+ * @param {object} props
+ * @param {Map<string, number>} props.counts - Country code -> teammates (see countByCountry)
+ */
+export default function CountryChoropleth({ counts }) {
+  const { data: countries } = useQuery({
+    queryKey: ['world-countries'],
+    queryFn: loadCountries,
+    staleTime: Infinity,
+  });
+  if (!countries) return null;
+
+  const style = (feature) => {
+    const color = headcountColor(counts.get(feature.id));
+    return color
+      ? { color: '#ffffff', weight: 1, fillColor: color, fillOpacity: 0.75 }
+      : { color: '#9ea3ae', weight: 0.5, fillOpacity: 0 };
+  };
+
+  const bindTooltip = (feature, layer) => {
+    const count = counts.get(feature.id) || 0;
+    layer.bindTooltip(`<strong>${feature.properties.name}</strong><br />${count} ${count === 1 ? 'teammate' : 'teammates'}`, {
+      sticky: true,
+    });
+  };
+
+  // Tooltips are bound once per layer, so redraw when the counts change
+  const key = Array.from(counts, ([code, count]) => `${code}${count}`).join(',');
+
+  return <GeoJSON key={key} data={countries} style={style} onEachFeature={bindTooltip} />;
+}
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { HEAT_GRADIENT, HEADCOUNT_STEPS, headcountLabel } from '../lib/mapModes';
+
+/**
+ * Key for the heatmap and choropleth modes
+ *
+ * @param {object} props
+ * @param {'heatmap'|'choropleth'} props.mode
+ * @param {Map<string, number>} props.counts - Country code -> teammates
+ * @param {number} props.mapped - Teammates with a location on the map
+ */
+export default function DensityLegend({ mode, counts, mapped }) {
+  const [open, setOpen] = useState(true);
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="absolute bottom-6 right-3 z-[1000] rounded-full bg-white/95 px-3 py-1.5 text-xs font-semibold text-gray-800 shadow-lg hover:bg-white"
+      >
+        Legend
+      </button>
+    );
+  }
+
+  // Busiest countries first
+  const top = Array.from(counts).sort((a, b) => b[1] - a[1]).slice(0, 3);
+  const gradient = Object.entries(HEAT_GRADIENT).map(([stop, color]) => `${color} ${stop * 100}%`).join(', ');
+
+  return (
+    <div className="absolute bottom-6 right-3 z-[1000] w-60 rounded-lg bg-white/95 p-3 text-xs shadow-lg">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-bold text-gray-800">{mode === 'heatmap' ? 'Team density' : 'Teammates per country'}</h2>
+        <button type="button" onClick={() => setOpen(false)} className="text-gray-400 hover:text-gray-700" aria-label="Hide legend">
+          ✕
+        </button>
+      </div>
+
+      {mode === 'heatmap' ? (
+        <div className="mt-2">
+          <div className="h-2.5 rounded-full" style={{ background: `linear-gradient(to right, ${gradient})` }} />
+          <div className="mt-1 flex justify-between text-gray-500">
+            <span>A few</span>
+            <span>Lots of teammates</span>
+          </div>
+          <p className="mt-2 text-gray-500">{mapped} teammates on the map - zoom in to pick out cities</p>
+        </div>
+      ) : (
+        <div className="mt-2">
+          <ul className="space-y-1 text-gray-700">
+            {HEADCOUNT_STEPS.map((step, index) => (
+              <li key={step.min} className="flex items-center gap-2">
+                <span className="inline-block h-3 w-5 shrink-0 rounded-sm" style={{ backgroundColor: step.color }} />
+                {headcountLabel(index)}
+              </li>
+            ))}
+          </ul>
+          {top.length > 0 && (
+            <p className="mt-2 text-gray-500">
+              {counts.size} countries, most in {top.map(([code, count]) => `${code} (${count})`).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
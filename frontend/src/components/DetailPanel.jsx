@@ -0,0 +1,27 @@
+import MapLink from './MapLink';
+
+/**
+ * Side panel shell for the /member and /team routes; closing it goes back
+ * to the plain map.
+ */
+export default function DetailPanel({ isLoading, error, children }) {
+  return (
+    <aside className="absolute right-3 top-3 bottom-3 z-[1000] w-96 max-w-[calc(100vw-1.5rem)] overflow-y-auto rounded-lg bg-white/95 p-5 shadow-lg">
+      <MapLink
+        to="/"
+        className="absolute right-4 top-3 text-sm text-gray-500 hover:text-gray-800"
+        aria-label="Close"
+      >
+        ✕
+      </MapLink>
+
+      {isLoading && (
+        <div className="flex h-32 items-center justify-center">
+          <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-posthog-yellow border-r-transparent"></div>
+        </div>
+      )}
+      {error && <p className="text-sm text-red-600">{error.message}</p>}
+      {!isLoading && !error && children}
+    </aside>
+  );
+}
@@ -0,0 +1,119 @@
+import { motion as Motion } from 'framer-motion';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useApplicant } from '../hooks/useApplicant';
+import { useVoteSummary } from '../hooks/useVotes';
+
+const CONSEQUENCES = [
+  { icon: '📉', text: "PostHog's bounce rate:", value: '↑ 847%' },
+  { icon: '😢', text: 'Developer happiness:', value: '↓ 99%' },
+  { icon: '🦔', text: 'Hedgehogs:', value: 'sad and disappointed' },
+  { icon: '☕', text: 'Coffee consumption:', value: 'dangerously low' },
+  { icon: '🚫', text: 'This page:', value: 'still broken' },
+  { icon: '🌍', text: 'World:', value: 'slightly worse place' },
+  { icon: '💔', text: 'Your company culture:', value: 'less quirky' },
+  { icon: '📊', text: 'Data-driven decisions:', value: '404 not found' },
+];
+
+// Spread across the screen, falling at different speeds
+const WARNING_SIGNS = [8, 27, 46, 65, 84].map((left, i) => ({ left: `${left}%`, duration: 10 + (i % 3) * 2.5, delay: i * 1.3 }));
+
+/**
+ * Where "Don't Hire" leads - and any URL that doesn't exist
+ */
+export default function Doomsday404() {
+  const navigate = useNavigate();
+  const { state } = useLocation();
+  const { data: applicant } = useApplicant();
+  const { data: summary } = useVoteSummary();
+
+  return (
+    <div className="relative flex min-h-screen items-center justify-center overflow-hidden bg-gradient-to-br from-red-900 via-red-950 to-black p-4">
+      <div className="absolute inset-0 opacity-10">
+        <div className="absolute inset-0 animate-pulse bg-red-500" />
+      </div>
+
+      <Motion.div
+        initial={{ opacity: 0, scale: 0.8, rotateX: -90 }}
+        animate={{ opacity: 1, scale: 1, rotateX: 0 }}
+        transition={{ duration: 0.6, type: 'spring' }}
+        className="relative max-w-2xl rounded-2xl border-4 border-red-600 bg-red-950 p-8 text-center shadow-2xl"
+        style={{ boxShadow: '0 0 100px rgba(239, 68, 68, 0.5)' }}
+      >
+        <Motion.h1
+          animate={{
+            scale: [1, 1.05, 1],
+            textShadow: [
+              '0 0 20px rgba(239, 68, 68, 0.8)',
+              '0 0 40px rgba(239, 68, 68, 1)',
+              '0 0 20px rgba(239, 68, 68, 0.8)',
+            ],
+          }}
+          transition={{ repeat: Infinity, duration: 2 }}
+          className="mb-6 text-6xl font-black text-red-500"
+        >
+          ⚠️ ERROR 418 ⚠️
+        </Motion.h1>
+
+        <h2 className="mb-6 text-3xl font-bold text-red-300">Alternative Universe Detected</h2>
+
+        <p className="mb-6 text-lg text-red-200">
+          In this timeline, you didn't hire{' '}
+          <span className="font-bold text-red-400">{applicant?.name || 'the +1'}</span>.
+          {state?.dontHireAttempts > 0 && ` It only took you ${state.dontHireAttempts} tries.`}
+        </p>
+
+        <div className="mb-6 rounded-xl border border-red-800 bg-black/60 p-6 text-left backdrop-blur-sm">
+          <p className="mb-4 font-mono font-bold text-red-300">Here's what happened in this dark timeline:</p>
+          <ul className="space-y-3">
+            {CONSEQUENCES.map((item, i) => (
+              <Motion.li
+                key={item.text}
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ delay: 0.8 + i * 0.1 }}
+                className="flex items-start gap-3 text-red-200"
+              >
+                <span className="text-2xl">{item.icon}</span>
+                <div className="flex-1">
+                  <span className="font-medium">{item.text}</span>{' '}
+                  <span className="font-bold text-red-400">{item.value}</span>
+                </div>
+              </Motion.li>
+            ))}
+          </ul>
+        </div>
+
+        {summary?.total > 0 && (
+          <p className="mb-6 text-sm text-red-300">
+            Meanwhile, {summary.hire} of {summary.total} visitors ({summary.hirePercent}%) chose the hire button.
+          </p>
+        )}
+
+        <Motion.button
+          type="button"
+          onClick={() => navigate('/applicant')}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          className="rounded-xl bg-gradient-to-r from-green-600 to-green-700 px-10 py-4 text-lg font-bold text-white shadow-lg hover:shadow-green-500/50"
+        >
+          ← Go Back and Fix This Timeline
+        </Motion.button>
+
+        <p className="mt-6 text-sm italic text-red-400">(You can't escape destiny. The hire button awaits...)</p>
+      </Motion.div>
+
+      {WARNING_SIGNS.map((sign) => (
+        <Motion.div
+          key={sign.left}
+          className="pointer-events-none absolute top-0 text-6xl opacity-20"
+          style={{ left: sign.left }}
+          initial={{ y: '-10vh' }}
+          animate={{ y: '110vh', rotate: 360 }}
+          transition={{ duration: sign.duration, delay: sign.delay, repeat: Infinity, ease: 'linear' }}
+        >
+          ⚠️
+        </Motion.div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import { useEffect, useState } from 'react';
+import { TENURE_LABELS, countFilters } from '../lib/mapFilters';
+
+// Every search reaches /team, /team/facets and /team/clusters, so wait for
+// a pause in typing
+const SEARCH_DELAY = 300;
+
+// "PT" -> 🇵🇹
+const flagEmoji = (code) =>
+  String.fromCodePoint(...code.toUpperCase().split('').map((letter) => 127397 + letter.charCodeAt(0)));
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
+
+function OptionList({ title, options, selected, onChange }) {
+  return (
+    <fieldset className="mt-3">
+      <legend className="text-xs font-semibold uppercase tracking-wide text-gray-500">{title}</legend>
+      <ul className="mt-1 max-h-40 space-y-0.5 overflow-y-auto pr-1">
+        {options.map((option) => {
+          const checked = selected.includes(option.value);
+          return (
+            <li key={option.value}>
+              <label className={`flex cursor-pointer items-center gap-2 rounded px-1 py-0.5 hover:bg-gray-100 ${option.count === 0 && !checked ? 'text-gray-400' : 'text-gray-700'}`}>
+                <input type="checkbox" checked={checked} onChange={() => onChange(toggle(selected, option.value))} />
+                <span className="truncate">{option.label}</span>
+                <span className="ml-auto text-gray-400">{option.count}</span>
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+    </fieldset>
+  );
+}
+
+/**
+ * Name search that only writes to the URL once typing pauses
+ */
+function NameSearch({ value, onChange }) {
+  const [draft, setDraft] = useState(value);
+
+  // Follow changes made elsewhere, e.g. "Clear all"
+  const [seen, setSeen] = useState(value);
+  if (value !== seen) {
+    setSeen(value);
+    setDraft(value);
+  }
+
+  useEffect(() => {
+    if (draft === value) return undefined;
+    const timer = setTimeout(() => onChange(draft), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [draft, value, onChange]);
+
+  return (
+    <input
+      type="search"
+      value={draft}
+      onChange={(event) => setDraft(event.target.value)}
+      placeholder="Search by name"
+      className="w-full rounded border border-gray-300 px-2 py-1 text-sm focus:border-posthog-blue focus:outline-none"
+    />
+  );
+}
+
+/**
+ * Sidebar for narrowing the map by team, country, tenure, leads and name
+ *
+ * @param {object} props
+ * @param {object} props.filters - Current filters (see lib/mapFilters readFilters)
+ * @param {(key: string, value: unknown) => void} props.onChange - Set one filter
+ * @param {() => void} props.onClear - Reset every filter
+ * @param {object} [props.facets] - Counts from GET /api/team/facets
+ */
+export default function FilterPanel({ filters, onChange, onClear, facets }) {
+  const [open, setOpen] = useState(true);
+  const active = countFilters(filters);
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="absolute left-3 top-20 z-[1000] rounded-full bg-white/95 px-3 py-1.5 text-xs font-semibold text-gray-800 shadow-lg hover:bg-white"
+      >
+        Filters{active > 0 && ` (${active})`}
+      </button>
+    );
+  }
+
+  return (
+    <aside className="absolute left-3 top-20 z-[1000] flex max-h-[calc(100%-24rem)] min-h-48 w-64 flex-col rounded-lg bg-white/95 text-xs shadow-lg">
+      <div className="border-b border-gray-200 p-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-sm font-bold text-gray-800">Filters</h2>
+          <div className="flex items-center gap-3">
+            {active > 0 && (
+              <button type="button" onClick={onClear} className="font-semibold text-posthog-blue hover:underline">
+                Clear all
+              </button>
+            )}
+            <button type="button" onClick={() => setOpen(false)} className="text-gray-400 hover:text-gray-700" aria-label="Hide filters">
+              ✕
+            </button>
+          </div>
+        </div>
+        {facets && (
+          <p className="mt-1 text-gray-500">
+            <span className="font-semibold text-gray-800">{facets.total}</span> of {facets.everyone} teammates
+            {facets.mapped < facets.total && ` (${facets.mapped} on the map)`}
+          </p>
+        )}
+      </div>
+
+      <div className="overflow-y-auto p-3">
+        <NameSearch value={filters.name} onChange={(name) => onChange('name', name)} />
+
+        <label className="mt-3 flex cursor-pointer items-center gap-2 text-gray-700">
+          <input type="checkbox" checked={filters.lead} onChange={(event) => onChange('lead', event.target.checked)} />
+          Team leads only
+          {facets && <span className="ml-auto text-gray-400">{facets.leads}</span>}
+        </label>
+
+        <fieldset className="mt-3">
+          <legend className="text-xs font-semibold uppercase tracking-wide text-gray-500">Time at PostHog</legend>
+          <div className="mt-1 flex flex-wrap gap-1">
+            {Object.entries(TENURE_LABELS).map(([range, label]) => {
+              const selected = filters.tenure.includes(range);
+              const count = facets?.tenure.find((option) => option.range === range)?.count;
+              return (
+                <button
+                  key={range}
+                  type="button"
+                  aria-pressed={selected}
+                  onClick={() => onChange('tenure', toggle(filters.tenure, range))}
+                  className={`rounded-full border px-2 py-0.5 ${selected ? 'border-gray-800 bg-gray-800 text-white' : 'border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+                >
+                  {label}
+                  {count != null && <span className={selected ? 'text-gray-300' : 'text-gray-400'}> {count}</span>}
+                </button>
+              );
+            })}
+          </div>
+        </fieldset>
+
+        {facets && (
+          <>
+            <OptionList
+              title="Teams"
+              options={facets.teams.map((team) => ({ value: team.slug, label: team.name, count: team.count }))}
+              selected={filters.team}
+              onChange={(value) => onChange('team', value)}
+            />
+            <OptionList
+              title="Countries"
+              options={facets.countries.map((country) => ({
+                value: country.code,
+                label: `${flagEmoji(country.code)} ${country.name}`,
+                count: country.count,
+              }))}
+              selected={filters.country}
+              onChange={(value) => onChange('country', value)}
+            />
+          </>
+        )}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.heat';
+import { HEAT_GRADIENT } from '../lib/mapModes';
+
+// Past this zoom every point is drawn at full strength
+const HEAT_MAX_ZOOM = 8;
+
+/**
+ * Canvas heatmap of where teammates are, one point per person
+ *
+ * @param {object} props
+ * @param {{ latitude: number, longitude: number }[]} props.members - Teammates on the map
+ */
+export default function HeatmapLayer({ members }) {
+  const map = useMap();
+  const [layer] = useState(() =>
+    L.heatLayer([], { radius: 28, blur: 22, minOpacity: 0.35, maxZoom: HEAT_MAX_ZOOM, gradient: HEAT_GRADIENT })
+  );
+
+  useEffect(() => {
+    layer.addTo(map);
+    return () => {
+      layer.remove();
+    };
+  }, [map, layer]);
+
+  useEffect(() => {
+    layer.setLatLngs(members.map((member) => [member.latitude, member.longitude]));
+  }, [layer, members]);
+
+  return null;
+}
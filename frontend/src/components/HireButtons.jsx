@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { motion as Motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import { useCastVote, useVoteSummary } from '../hooks/useVotes';
+import { trackHireVote } from '../lib/analytics';
+
+// "Don't Hire" pleads a little harder every time it gets away
+const DONT_HIRE_LABELS = [
+  "don't hire",
+  'are you sure? 🥺',
+  'think about it...',
+  'please reconsider',
+  'NOOOOO 😭',
+];
+
+export default function HireButtons() {
+  const navigate = useNavigate();
+  const castVote = useCastVote();
+  const { data: summary } = useVoteSummary();
+  const [dontHireAttempts, setDontHireAttempts] = useState(0);
+  const [buttonPosition, setButtonPosition] = useState({ x: 0, y: 0 });
+
+  const handleHireClick = () => {
+    trackHireVote({ choice: 'hire', dontHireAttempts });
+    castVote.mutate({ choice: 'hire', dontHireAttempts });
+  };
+
+  const handleDontHireHover = () => {
+    const attempts = dontHireAttempts + 1;
+    setDontHireAttempts(attempts);
+
+    // Jumps further away each time it's cornered
+    const maxMove = 50 + attempts * 30;
+    setButtonPosition({
+      x: (Math.random() - 0.5) * maxMove,
+      y: (Math.random() - 0.5) * maxMove,
+    });
+  };
+
+  const handleDontHireClick = () => {
+    // The vote still counts, even from the dark timeline
+    trackHireVote({ choice: 'dont-hire', dontHireAttempts });
+    castVote.mutate({ choice: 'dont-hire', dontHireAttempts });
+    navigate('/doomsday', { state: { dontHireAttempts } });
+  };
+
+  const hired = castVote.isSuccess && castVote.data.vote.choice === 'hire';
+
+  return (
+    <div className="relative flex flex-col items-center gap-6 py-4">
+      <Motion.div initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }} className="text-center">
+        <h3 className="text-xl font-bold text-gray-900">The Decision</h3>
+        <p className="text-sm text-gray-600">Choose wisely...</p>
+      </Motion.div>
+
+      {hired ? (
+        <Motion.div initial={{ scale: 0.8, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} className="text-center">
+          <p className="text-4xl">🎉</p>
+          <p className="font-bold text-green-600">Excellent choice!</p>
+        </Motion.div>
+      ) : (
+        <Motion.button
+          type="button"
+          onClick={handleHireClick}
+          disabled={castVote.isPending}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          className="rounded-xl bg-gradient-to-r from-green-500 to-green-600 px-10 py-4 text-lg font-bold text-white shadow-2xl hover:shadow-green-500/50"
+        >
+          ✅ HIRE THIS PERSON
+        </Motion.button>
+      )}
+
+      {!hired && (
+        <div className="relative" style={{ minHeight: '80px' }}>
+          <Motion.button
+            type="button"
+            onMouseEnter={handleDontHireHover}
+            onClick={handleDontHireClick}
+            animate={{
+              x: buttonPosition.x,
+              y: buttonPosition.y,
+              scale: Math.max(0.7, 1 - dontHireAttempts * 0.05),
+            }}
+            transition={{ type: 'spring', stiffness: 300, damping: 20 }}
+            className="rounded-lg bg-gray-200 px-5 py-2 text-sm text-gray-500 shadow-md hover:bg-gray-300"
+          >
+            {DONT_HIRE_LABELS[Math.min(dontHireAttempts, DONT_HIRE_LABELS.length - 1)]}
+          </Motion.button>
+        </div>
+      )}
+
+      {dontHireAttempts > 0 && !hired && (
+        <Motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-center">
+          <p className="text-sm text-gray-500">
+            "Don't Hire" escape attempts: <span className="font-bold">{dontHireAttempts}</span>
+          </p>
+          {dontHireAttempts >= 3 && (
+            <p className="text-xs italic text-red-600">Maybe the universe is trying to tell you something... 🤔</p>
+          )}
+        </Motion.div>
+      )}
+
+      {castVote.isError && <p className="text-xs text-red-600">{castVote.error.message}</p>}
+
+      {summary?.total > 0 && (
+        <p className="text-xs text-gray-500">
+          {summary.hire} of {summary.total} visitors voted hire ({summary.hirePercent}%)
+        </p>
+      )}
+    </div>
+  );
+}
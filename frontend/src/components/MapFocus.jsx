@@ -0,0 +1,68 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import { latLngBounds } from 'leaflet';
+import { useMatch } from 'react-router-dom';
+import { useTeamMember, useTeamBySlug } from '../hooks/useTeam';
+import { useApplicant } from '../hooks/useApplicant';
+
+const MEMBER_ZOOM = 10;
+
+const isOnMap = (member) => member.latitude != null && member.longitude != null && !member.hidden;
+
+function FlyToMember({ id }) {
+  const map = useMap();
+  const { data: member } = useTeamMember(id);
+  const target = member && isOnMap(member) ? [member.latitude, member.longitude] : null;
+  const [lat, lng] = target || [];
+
+  useEffect(() => {
+    if (lat == null) return;
+    map.flyTo([lat, lng], Math.max(map.getZoom(), MEMBER_ZOOM));
+  }, [map, lat, lng]);
+
+  return null;
+}
+
+function FitTeam({ slug }) {
+  const map = useMap();
+  const { data } = useTeamBySlug(slug);
+  const members = data?.team;
+
+  useEffect(() => {
+    const points = (members || []).filter(isOnMap).map((m) => [m.latitude, m.longitude]);
+    if (points.length === 0) return;
+    map.flyToBounds(latLngBounds(points), { padding: [60, 60], maxZoom: MEMBER_ZOOM });
+  }, [map, members]);
+
+  return null;
+}
+
+function FitApplicant() {
+  const map = useMap();
+  const { data: applicant } = useApplicant();
+  const locations = applicant?.locations;
+
+  useEffect(() => {
+    if (!locations?.length) return;
+    const points = locations.map((location) => [location.latitude, location.longitude]);
+    map.flyToBounds(latLngBounds(points), { padding: [60, 60], maxZoom: MEMBER_ZOOM });
+  }, [map, locations]);
+
+  return null;
+}
+
+/**
+ * Moves the map to whatever the URL points at: a teammate's pin for
+ * /member/:id, everyone in the team for /team/:slug, or both of the
+ * applicant's cities for /applicant
+ */
+export default function MapFocus() {
+  const memberMatch = useMatch('/member/:id');
+  const teamMatch = useMatch('/team/:slug');
+  const applicantMatch = useMatch('/applicant');
+
+  if (memberMatch) return <FlyToMember id={memberMatch.params.id} />;
+  if (teamMatch) return <FitTeam slug={teamMatch.params.slug} />;
+  if (applicantMatch) return <FitApplicant />;
+  return null;
+}
@@ -0,0 +1,10 @@
+import { Link, useLocation } from 'react-router-dom';
+
+/**
+ * Link between the map's panels that keeps the current query string, so
+ * opening a member or team doesn't reset the filters or colour scheme
+ */
+export default function MapLink({ to, ...props }) {
+  const { search } = useLocation();
+  return <Link to={{ pathname: to, search }} {...props} />;
+}
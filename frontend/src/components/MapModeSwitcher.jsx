@@ -0,0 +1,26 @@
+import { MAP_MODES } from '../lib/mapModes';
+
+/**
+ * Pins, density heatmap or country choropleth
+ *
+ * @param {object} props
+ * @param {string} props.mode - Key of MAP_MODES
+ * @param {(mode: string) => void} props.onChange
+ */
+export default function MapModeSwitcher({ mode, onChange }) {
+  return (
+    <div role="group" aria-label="Map mode" className="absolute right-3 top-3 z-[1000] flex overflow-hidden rounded-full bg-white/95 text-xs font-semibold shadow-lg">
+      {Object.entries(MAP_MODES).map(([key, label]) => (
+        <button
+          key={key}
+          type="button"
+          aria-pressed={mode === key}
+          onClick={() => onChange(key)}
+          className={`px-3 py-1.5 ${mode === key ? 'bg-gray-800 text-white' : 'text-gray-700 hover:bg-gray-100'}`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -1,24 +1,103 @@
+import { useEffect, useRef, useState } from 'react';
+import { keepPreviousData } from '@tanstack/react-query';
 import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
-import { useTeam } from '../hooks/useTeam';
+import { Outlet, useSearchParams } from 'react-router-dom';
+import MapLink from './MapLink';
+import { useTeam, useTeamFacets } from '../hooks/useTeam';
 import { useApplicant } from '../hooks/useApplicant';
+import { useTimeline } from '../hooks/useTimeline';
+import { useConnectionSettings } from '../hooks/useConnectionSettings';
+import UnmappedMembers from './UnmappedMembers';
+import TeamClusters from './TeamClusters';
+import TimelinePins from './TimelinePins';
+import TimelineScrubber from './TimelineScrubber';
+import MapFocus from './MapFocus';
+import MarkerLegend from './MarkerLegend';
+import FilterPanel from './FilterPanel';
+import ConnectionLines from './ConnectionLines';
+import ConnectionControls from './ConnectionControls';
+import HeatmapLayer from './HeatmapLayer';
+import CountryChoropleth from './CountryChoropleth';
+import DensityLegend from './DensityLegend';
+import MapModeSwitcher from './MapModeSwitcher';
+import { trackMarkerOpened, trackFilterChanged, trackMapModeChanged } from '../lib/analytics';
+import { readFilters, writeFilter, filterParams } from '../lib/mapFilters';
+import { applicantIcon, teamPalette, COLOR_SCHEMES, DEFAULT_COLOR_SCHEME } from '../lib/markerIcons';
+import { MAP_MODES, DEFAULT_MAP_MODE, countByCountry } from '../lib/mapModes';
 import 'leaflet/dist/leaflet.css';
-import { Icon } from 'leaflet';
 
-// Fix for default marker icons in React-Leaflet
-import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
-import markerIcon from 'leaflet/dist/images/marker-icon.png';
-import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+// Markers come clustered from /team/clusters - this is only for the unmapped
+// list, the growth timeline, the legend's team colours and the density modes
+const MEMBER_FIELDS = ['name', 'role', 'country', 'latitude', 'longitude', 'hidden', 'startDate', 'teams'];
 
-delete Icon.Default.prototype._getIconUrl;
-Icon.Default.mergeOptions({
-  iconUrl: markerIcon,
-  iconRetinaUrl: markerIcon2x,
-  shadowUrl: markerShadow,
-});
+const FILTER_KEYS = ['team', 'country', 'tenure', 'lead', 'name'];
+
+// Wait for typing to settle before reporting a filter change
+const TRACK_FILTER_DELAY = 800;
 
 export default function MapView() {
-  const { data: teamData, isLoading: teamLoading, error: teamError } = useTeam();
+  const { data: teamData, isLoading: teamLoading, error: teamError } = useTeam({ fields: MEMBER_FIELDS });
   const { data: applicantData, isLoading: applicantLoading } = useApplicant();
+  const { data: timeline } = useTimeline();
+
+  // null while the map shows today's team; otherwise the month being replayed
+  // (one past the last month is the applicant joining)
+  const [timelineStep, setTimelineStep] = useState(null);
+  const [timelinePlaying, setTimelinePlaying] = useState(false);
+
+  // ?colors=team colours markers by team instead of by person
+  const [searchParams, setSearchParams] = useSearchParams();
+  const colorScheme = COLOR_SCHEMES[searchParams.get('colors')] ? searchParams.get('colors') : DEFAULT_COLOR_SCHEME;
+  const setColorScheme = (scheme) =>
+    setSearchParams((params) => {
+      if (scheme === DEFAULT_COLOR_SCHEME) params.delete('colors');
+      else params.set('colors', scheme);
+      return params;
+    }, { replace: true });
+
+  // ?mode=heatmap|choropleth swaps the pins for a density view
+  const mapMode = MAP_MODES[searchParams.get('mode')] ? searchParams.get('mode') : DEFAULT_MAP_MODE;
+  const setMapMode = (mode) => {
+    trackMapModeChanged(mode);
+    setSearchParams((params) => {
+      if (mode === DEFAULT_MAP_MODE) params.delete('mode');
+      else params.set('mode', mode);
+      return params;
+    }, { replace: true });
+  };
+  const showPins = mapMode === 'pins';
+
+  // Filters live in the URL too (see lib/mapFilters)
+  const filters = readFilters(searchParams);
+  const apiFilters = filterParams(filters);
+  const { data: filteredData } = useTeam({ fields: MEMBER_FIELDS, ...apiFilters }, { placeholderData: keepPreviousData });
+  const { data: facets, isPlaceholderData: facetsPending } = useTeamFacets(apiFilters);
+
+  const changedFilter = useRef(null);
+  const setFilter = (key, value) => {
+    changedFilter.current = { filter: key, value };
+    setSearchParams((params) => writeFilter(params, key, value), { replace: true });
+  };
+  const clearFilters = () => {
+    changedFilter.current = { filter: 'all', value: null };
+    setSearchParams((params) => {
+      FILTER_KEYS.forEach((key) => params.delete(key));
+      return params;
+    }, { replace: true });
+  };
+
+  const { settings: lineSettings, update: updateLines } = useConnectionSettings();
+
+  // Report a change once its counts have arrived
+  useEffect(() => {
+    if (!changedFilter.current || !facets || facetsPending) return undefined;
+
+    const timer = setTimeout(() => {
+      trackFilterChanged({ ...changedFilter.current, resultCount: facets.total });
+      changedFilter.current = null;
+    }, TRACK_FILTER_DELAY);
+    return () => clearTimeout(timer);
+  }, [facets, facetsPending]);
 
   if (teamLoading || applicantLoading) {
     return (
@@ -42,56 +121,141 @@ export default function MapView() {
     );
   }
 
-  const teamMembers = teamData?.team || [];
-  const applicantLocations = applicantData?.locations || [];
+  // Members hidden via location overrides stay in the data but off the map
+  const visibleMembers = (teamData?.team || []).filter((member) => !member.hidden);
+  const matchingMembers = (filteredData?.team || visibleMembers).filter((member) => !member.hidden);
+  const mappedMembers = matchingMembers.filter((member) => member.latitude != null && member.longitude != null);
+  const unmappedMembers = matchingMembers.filter((member) => member.latitude == null || member.longitude == null);
+
+  // Markers in the team scheme take the colour of the member's first team
+  // (picked from everyone, so colours don't shift as filters change)
+  const palette = teamPalette(visibleMembers.map((member) => member.teams[0]?.name).filter(Boolean));
+  const teamCounts = new Map();
+  mappedMembers.forEach((member) => {
+    const name = member.teams[0]?.name;
+    if (name) teamCounts.set(name, (teamCounts.get(name) || 0) + 1);
+  });
+
+  // Unmapped teammates still count towards their country
+  const countryCounts = countByCountry(matchingMembers);
+
+  const months = timeline?.months || [];
+  const replaying = timelineStep != null && months.length > 0;
+  const replayMonth = replaying ? months[Math.min(timelineStep, months.length - 1)].month : null;
+
+  // During a replay the applicant only lands at the very end
+  const applicantLocations = !replaying || timelineStep === months.length ? applicantData?.locations || [] : [];
+
+  const startReplay = () => {
+    setTimelineStep(0);
+    setTimelinePlaying(true);
+  };
+
+  const stopReplay = () => {
+    setTimelinePlaying(false);
+    setTimelineStep(null);
+  };
 
   return (
-    <MapContainer
-      center={[20, 0]}
-      zoom={2}
-      className="h-full w-full"
-      scrollWheelZoom={true}
-    >
-      <TileLayer
-        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-      />
-
-      {/* Team Member Markers */}
-      {teamMembers.map((member) => (
-        <Marker
-          key={member.id}
-          position={[member.latitude, member.longitude]}
-        >
-          <Popup>
-            <div className="p-2">
-              <h3 className="font-bold text-lg">{member.name}</h3>
-              <p className="text-sm text-gray-600">{member.role}</p>
-              <p className="text-xs text-gray-500 mt-1">{member.location}</p>
-            </div>
-          </Popup>
-        </Marker>
+    <div className="relative h-full w-full">
+      <MapContainer
+        center={[20, 0]}
+        zoom={2}
+        className="h-full w-full"
+        scrollWheelZoom={true}
+      >
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
+
+        <MapFocus />
+
+        {/* Team Member Markers, clustered by the API (or replayed by start date) */}
+        {replaying && <TimelinePins members={mappedMembers} month={replayMonth} />}
+        {!replaying && showPins && <TeamClusters colorScheme={colorScheme} palette={palette} filters={apiFilters} />}
+
+        {/* Where the team is concentrated, instead of the pins */}
+        {!replaying && mapMode === 'heatmap' && <HeatmapLayer members={mappedMembers} />}
+        {!replaying && mapMode === 'choropleth' && <CountryChoropleth counts={countryCounts} />}
+
+        {/* Great-circle lines from the applicant to teammates */}
+        {showPins && applicantLocations.length > 0 && <ConnectionLines settings={lineSettings} />}
+
+        {/* Applicant Markers (Lisbon & Brasília) */}
+        {applicantLocations.map((location, idx) => (
+          <Marker
+            key={`applicant-${idx}`}
+            position={[location.latitude, location.longitude]}
+            icon={applicantIcon(applicantData, location)}
+            zIndexOffset={location.isPrimary ? 2000 : 1000}
+            eventHandlers={{ popupopen: () => trackMarkerOpened({ kind: 'applicant', city: location.city }) }}
+          >
+            <Popup>
+              <div className="p-2">
+                <h3 className="font-bold text-lg text-posthog-purple">
+                  {applicantData.name} {location.flag}
+                </h3>
+                <p className="text-sm text-gray-600">{applicantData.role}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {location.city}, {location.country} ({location.percentage}% of time)
+                </p>
+                <MapLink to="/applicant" className="mt-2 inline-block text-xs font-semibold text-posthog-purple">
+                  Meet the +1 →
+                </MapLink>
+              </div>
+            </Popup>
+          </Marker>
+        ))}
+      </MapContainer>
+
+      {replaying ? (
+        <TimelineScrubber
+          months={months}
+          step={timelineStep}
+          onStepChange={setTimelineStep}
+          playing={timelinePlaying}
+          onPlayingChange={setTimelinePlaying}
+          onClose={stopReplay}
+          applicantName={applicantData?.name}
+        />
+      ) : (
+        showPins && months.length > 0 && (
+          <button
+            type="button"
+            onClick={startReplay}
+            className="absolute bottom-6 left-1/2 z-[1000] -translate-x-1/2 rounded-full bg-white/95 px-4 py-2 text-sm font-semibold text-gray-800 shadow-lg hover:bg-white"
+          >
+            ▶ Replay team growth
+          </button>
+        )
+      )}
+
+      <UnmappedMembers members={unmappedMembers} />
+
+      <FilterPanel filters={filters} onChange={setFilter} onClear={clearFilters} facets={facets} />
+
+      {!replaying && showPins && applicantData && <ConnectionControls settings={lineSettings} onChange={updateLines} />}
+
+      {!replaying && <MapModeSwitcher mode={mapMode} onChange={setMapMode} />}
+
+      {!replaying && (showPins ? (
+        <MarkerLegend scheme={colorScheme} onSchemeChange={setColorScheme} palette={palette} teamCounts={teamCounts} />
+      ) : (
+        <DensityLegend mode={mapMode} counts={countryCounts} mapped={mappedMembers.length} />
       ))}
 
-      {/* Applicant Markers (Lisbon & Brasília) */}
-      {applicantLocations.map((location, idx) => (
-        <Marker
-          key={`applicant-${idx}`}
-          position={[location.latitude, location.longitude]}
+      {applicantData && (
+        <MapLink
+          to="/applicant"
+          className="absolute left-14 top-3 z-[1000] rounded-full bg-posthog-purple px-4 py-2 text-sm font-semibold text-white shadow-lg hover:opacity-90"
         >
-          <Popup>
-            <div className="p-2">
-              <h3 className="font-bold text-lg text-posthog-purple">
-                {applicantData.name} {location.flag}
-              </h3>
-              <p className="text-sm text-gray-600">{applicantData.role}</p>
-              <p className="text-xs text-gray-500 mt-1">
-                {location.city}, {location.country} ({location.percentage}% of time)
-              </p>
-            </div>
-          </Popup>
-        </Marker>
-      ))}
-    </MapContainer>
+          🦔 Meet the +1
+        </MapLink>
+      )}
+
+      {/* /member/:id and /team/:slug panels */}
+      <Outlet />
+    </div>
   );
 }
@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { COLOR_SCHEMES, MEMBER_COLORS } from '../lib/markerIcons';
+
+function Swatch({ color }) {
+  return <span className="inline-block h-3 w-3 shrink-0 rounded-full" style={{ backgroundColor: color }} />;
+}
+
+/**
+ * What the markers mean, and which colour scheme the team markers use
+ *
+ * @param {object} props
+ * @param {string} props.scheme - Key of COLOR_SCHEMES
+ * @param {(scheme: string) => void} props.onSchemeChange
+ * @param {Map<string, string>} props.palette - Team name -> colour (see teamPalette)
+ * @param {Map<string, number>} props.teamCounts - Team name -> visible members
+ */
+export default function MarkerLegend({ scheme, onSchemeChange, palette, teamCounts }) {
+  const [open, setOpen] = useState(true);
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="absolute bottom-6 right-3 z-[1000] rounded-full bg-white/95 px-3 py-1.5 text-xs font-semibold text-gray-800 shadow-lg hover:bg-white"
+      >
+        Legend
+      </button>
+    );
+  }
+
+  return (
+    <div className="absolute bottom-6 right-3 z-[1000] w-60 rounded-lg bg-white/95 p-3 text-xs shadow-lg">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-bold text-gray-800">Legend</h2>
+        <button type="button" onClick={() => setOpen(false)} className="text-gray-400 hover:text-gray-700" aria-label="Hide legend">
+          ✕
+        </button>
+      </div>
+
+      <ul className="mt-2 space-y-1.5 text-gray-700">
+        <li className="flex items-center gap-2">
+          <span className="relative inline-flex h-4 w-4 shrink-0">
+            <span className="absolute inset-0 rounded-full bg-posthog-purple opacity-60 motion-safe:animate-ping" />
+            <span className="relative h-4 w-4 rounded-full border-2 border-posthog-purple bg-white" />
+          </span>
+          The +1, main base
+        </li>
+        <li className="flex items-center gap-2">
+          <span className="inline-block h-3 w-3 shrink-0 rounded-full border-2 border-dashed border-posthog-purple motion-safe:animate-pulse" />
+          The +1, also works from
+        </li>
+        <li className="flex items-center gap-2">
+          <span className="flex h-4 w-4 shrink-0 items-center justify-center rounded-full bg-posthog-blue text-[8px] font-bold text-white">3</span>
+          Teammates close together - click to zoom in
+        </li>
+      </ul>
+
+      <div className="mt-3 border-t border-gray-200 pt-2">
+        <div className="flex items-center justify-between">
+          <span className="font-semibold text-gray-800">Teammate colours</span>
+          <div className="flex overflow-hidden rounded border border-gray-200">
+            {Object.entries(COLOR_SCHEMES).map(([key, label]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => onSchemeChange(key)}
+                className={`px-2 py-0.5 ${scheme === key ? 'bg-gray-800 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {scheme === 'team' ? (
+          <div className="mt-1">
+            <p className="text-gray-500">By each teammate&apos;s first team</p>
+            <ul className="mt-1 max-h-40 space-y-1 overflow-y-auto pr-1">
+              {Array.from(palette.entries()).map(([name, color]) => (
+                <li key={name} className="flex items-center gap-2 text-gray-700">
+                  <Swatch color={color} />
+                  <span className="truncate">{name}</span>
+                  <span className="ml-auto text-gray-400">{teamCounts.get(name) ?? 0}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : (
+          <div className="mt-2">
+            <div className="flex flex-wrap gap-1">
+              {Object.entries(MEMBER_COLORS).map(([name, color]) => (
+                <Swatch key={name} color={color} />
+              ))}
+            </div>
+            <p className="mt-1 text-gray-500">Everyone&apos;s own colour from their PostHog profile</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
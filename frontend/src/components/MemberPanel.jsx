@@ -0,0 +1,129 @@
+import { useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import MapLink from './MapLink';
+import Markdown from 'react-markdown';
+import { useTeamMember } from '../hooks/useTeam';
+import DetailPanel from './DetailPanel';
+import { useConnectionSettings } from '../hooks/useConnectionSettings';
+import Avatar from './Avatar';
+import { trackMemberViewed } from '../lib/analytics';
+
+// Bios link out to personal sites and past employers (`node` is react-markdown's
+// syntax tree node, not an attribute)
+const markdownComponents = {
+  a: (props) => {
+    const { node: _node, children, ...attributes } = props;
+    return (
+      <a {...attributes} target="_blank" rel="noreferrer" className="text-posthog-blue underline">
+        {children}
+      </a>
+    );
+  },
+  p: ({ children }) => <p className="mb-3">{children}</p>,
+  ul: ({ children }) => <ul className="mb-3 list-disc pl-5">{children}</ul>,
+  ol: ({ children }) => <ol className="mb-3 list-decimal pl-5">{children}</ol>,
+};
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+function TeamLinks({ teams }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {teams.map((team) =>
+        team.slug ? (
+          <MapLink
+            key={team.slug}
+            to={`/team/${team.slug}`}
+            className="rounded-full bg-gray-100 px-2 py-0.5 text-xs text-gray-700 hover:bg-posthog-yellow"
+          >
+            {team.name}
+          </MapLink>
+        ) : (
+          <span key={team.name} className="rounded-full bg-gray-100 px-2 py-0.5 text-xs text-gray-700">
+            {team.name}
+          </span>
+        )
+      )}
+    </div>
+  );
+}
+
+/**
+ * /member/:id - everything we know about one teammate
+ */
+export default function MemberPanel() {
+  const { id } = useParams();
+  const { data: member, isLoading, error } = useTeamMember(id);
+  const { settings: lineSettings, toggleMember } = useConnectionSettings();
+
+  // Query results keep their identity across refetches of unchanged data,
+  // so this fires once per member shown
+  useEffect(() => {
+    if (member) trackMemberViewed(member);
+  }, [member]);
+
+  return (
+    <DetailPanel isLoading={isLoading} error={error}>
+      {member && (
+        <>
+          <div className="flex items-center gap-4 pr-6">
+            <Avatar id={member.id} size={192} className="h-20 w-20" />
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">{member.name}</h2>
+              {member.pronouns && <p className="text-xs text-gray-500">{member.pronouns}</p>}
+              <p className="text-sm text-gray-600">{member.role}</p>
+            </div>
+          </div>
+
+          <dl className="mt-4 space-y-1 text-sm">
+            <div>
+              <dt className="inline font-semibold text-gray-700">Location: </dt>
+              <dd className="inline text-gray-600">{member.locationLabel || member.location || member.formattedAddress || 'Unknown'}</dd>
+            </div>
+            {member.startDate && (
+              <div>
+                <dt className="inline font-semibold text-gray-700">Joined: </dt>
+                <dd className="inline text-gray-600">{formatDate(member.startDate)}</dd>
+              </div>
+            )}
+          </dl>
+
+          {member.latitude != null && (
+            <button
+              type="button"
+              onClick={() => toggleMember(member.id)}
+              className="mt-3 rounded-full border border-posthog-purple px-3 py-1 text-xs font-semibold text-posthog-purple hover:bg-posthog-purple hover:text-white"
+            >
+              {lineSettings.mode === 'members' && lineSettings.ids.includes(member.id)
+                ? 'Remove line from the +1'
+                : 'Draw a line from the +1'}
+            </button>
+          )}
+
+          {member.teams.length > 0 && (
+            <section className="mt-4">
+              <h3 className="mb-1 text-sm font-semibold text-gray-700">Teams</h3>
+              <TeamLinks teams={member.teams} />
+            </section>
+          )}
+
+          {member.leadTeams.length > 0 && (
+            <section className="mt-3">
+              <h3 className="mb-1 text-sm font-semibold text-gray-700">Leads</h3>
+              <TeamLinks
+                teams={member.leadTeams.map((lead) => member.teams.find((team) => team.name === lead.name) || lead)}
+              />
+            </section>
+          )}
+
+          {member.biography && (
+            <section className="mt-4 text-sm leading-relaxed text-gray-700">
+              <Markdown components={markdownComponents}>{member.biography}</Markdown>
+            </section>
+          )}
+        </>
+      )}
+    </DetailPanel>
+  );
+}
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { Marker, Popup, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+import MapLink from './MapLink';
+import { divIcon } from 'leaflet';
+import { useTeamClusters, useClusterMembers } from '../hooks/useTeamClusters';
+import { trackMarkerOpened } from '../lib/analytics';
+import { memberIcon, markerColor } from '../lib/markerIcons';
+import Avatar from './Avatar';
+
+/**
+ * Current zoom and bounds of the map as [west, south, east, north]
+ */
+function viewOf(map) {
+  const bounds = map.getBounds();
+  return {
+    zoom: map.getZoom(),
+    bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()],
+  };
+}
+
+/**
+ * Round count bubble, growing with the number of members inside
+ */
+function clusterIcon(count) {
+  const size = Math.round(32 + Math.min(count, 60) * 0.6);
+  return divIcon({
+    html: `<div class="flex h-full w-full items-center justify-center rounded-full border-4 border-white bg-posthog-blue font-bold text-white shadow-lg">${count}</div>`,
+    className: '',
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+}
+
+function MemberPopupContent({ member }) {
+  return (
+    <div className="p-2">
+      <h3 className="font-bold text-lg">{member.name}</h3>
+      <p className="text-sm text-gray-600">{member.role}</p>
+      <p className="text-xs text-gray-500 mt-1">{member.locationLabel || member.location || member.formattedAddress}</p>
+      {member.locationStatus === 'country-centroid' && (
+        <p className="text-xs text-gray-400 italic">Approximate - placed at the centre of {member.formattedAddress}</p>
+      )}
+      <MapLink to={`/member/${member.id}`} className="mt-2 inline-block text-xs font-semibold text-posthog-blue">
+        View profile →
+      </MapLink>
+    </div>
+  );
+}
+
+/**
+ * Everyone in a cluster that shares one spot (rendered only while open)
+ */
+function ClusterMemberList({ clusterId, filters }) {
+  const { data: members, isLoading } = useClusterMembers(clusterId, filters);
+
+  if (isLoading) return <p className="p-2 text-sm text-gray-500">Loading teammates...</p>;
+
+  return (
+    <div className="max-h-64 overflow-y-auto p-2">
+      <h3 className="font-bold">{members?.length} teammates here</h3>
+      <ul className="mt-2 space-y-1">
+        {members?.map((member) => (
+          <li key={member.id} className="text-xs">
+            <MapLink to={`/member/${member.id}`} className="font-semibold text-posthog-blue">{member.name}</MapLink>
+            <span className="text-gray-500"> · {member.role}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function ClusterMarker({ cluster, filters }) {
+  const map = useMap();
+  const canExpand = cluster.expansionZoom != null;
+
+  return (
+    <Marker
+      position={[cluster.latitude, cluster.longitude]}
+      icon={clusterIcon(cluster.count)}
+      eventHandlers={{
+        click: () => {
+          trackMarkerOpened({ kind: 'cluster', count: cluster.count });
+          if (canExpand) map.flyTo([cluster.latitude, cluster.longitude], cluster.expansionZoom);
+        },
+      }}
+    >
+      <Tooltip direction="top" offset={[0, -12]}>
+        <div className="text-xs">
+          <div className="mb-1 flex -space-x-2">
+            {cluster.sampleMemberIds.map((id) => (
+              <Avatar key={id} id={id} size={48} className="h-6 w-6 border-2 border-white" />
+            ))}
+          </div>
+          <p className="font-semibold">{cluster.count} teammates</p>
+          {cluster.topTeams.map((team) => (
+            <p key={team.name} className="text-gray-500">{team.name} ({team.count})</p>
+          ))}
+        </div>
+      </Tooltip>
+      {!canExpand && (
+        <Popup>
+          <ClusterMemberList clusterId={cluster.clusterId} filters={filters} />
+        </Popup>
+      )}
+    </Marker>
+  );
+}
+
+/**
+ * Team markers, clustered on the server for the visible viewport
+ *
+ * @param {object} props
+ * @param {string} props.colorScheme - Key of COLOR_SCHEMES (lib/markerIcons)
+ * @param {Map<string, string>} props.palette - Team colours for the team scheme
+ * @param {object} [props.filters] - Filter parameters (see lib/mapFilters filterParams)
+ */
+export default function TeamClusters({ colorScheme, palette, filters }) {
+  const map = useMap();
+  const [view, setView] = useState(() => viewOf(map));
+
+  useMapEvents({
+    moveend: () => setView(viewOf(map)),
+  });
+
+  const { data: items = [] } = useTeamClusters(view, filters);
+
+  return items.map((item) =>
+    item.type === 'cluster' ? (
+      <ClusterMarker key={item.id} cluster={item} filters={filters} />
+    ) : (
+      <Marker
+        key={item.id}
+        position={[item.latitude, item.longitude]}
+        icon={memberIcon(item.member, markerColor(item.member, { scheme: colorScheme, palette }))}
+        eventHandlers={{ popupopen: () => trackMarkerOpened({ kind: 'member', member: item.member }) }}
+      >
+        <Popup>
+          <MemberPopupContent member={item.member} />
+        </Popup>
+      </Marker>
+    )
+  );
+}
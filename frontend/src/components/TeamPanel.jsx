@@ -0,0 +1,50 @@
+import { useParams } from 'react-router-dom';
+import MapLink from './MapLink';
+import { useTeamBySlug } from '../hooks/useTeam';
+import DetailPanel from './DetailPanel';
+import Avatar from './Avatar';
+
+/**
+ * /team/:slug - who is in a team, leads first
+ */
+export default function TeamPanel() {
+  const { slug } = useParams();
+  const { data, isLoading, error } = useTeamBySlug(slug);
+
+  const members = data?.team || [];
+  const team = members.flatMap((member) => member.teams).find((t) => t.slug === slug);
+  const isLead = (member) => member.leadTeams.some((lead) => lead.name === team?.name);
+  const sorted = [...members].sort((a, b) => isLead(b) - isLead(a));
+
+  return (
+    <DetailPanel isLoading={isLoading} error={error}>
+      {team ? (
+        <>
+          <h2 className="pr-6 text-xl font-bold text-gray-900">{team.name}</h2>
+          <p className="text-sm text-gray-500">
+            {members.length} teammates in {new Set(members.map((m) => m.country)).size} countries
+          </p>
+
+          <ul className="mt-4 space-y-2">
+            {sorted.map((member) => (
+              <li key={member.id}>
+                <MapLink to={`/member/${member.id}`} className="flex items-center gap-3 rounded p-1 hover:bg-gray-100">
+                  <Avatar id={member.id} size={96} className="h-9 w-9" />
+                  <div className="text-sm">
+                    <p className="font-semibold text-gray-800">
+                      {member.name}
+                      {isLead(member) && <span className="ml-1 text-xs text-posthog-red">Lead</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">{member.role}</p>
+                  </div>
+                </MapLink>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <p className="text-sm text-gray-600">No team called “{slug}”.</p>
+      )}
+    </DetailPanel>
+  );
+}
@@ -0,0 +1,31 @@
+import { CircleMarker, Tooltip } from 'react-leaflet';
+
+/**
+ * Team members who had started by `month` ("YYYY-MM"), with that month's
+ * hires highlighted
+ */
+export default function TimelinePins({ members, month }) {
+  return members
+    .filter((member) => member.startDate && member.startDate.slice(0, 7) <= month)
+    .map((member) => {
+      const isNew = member.startDate.slice(0, 7) === month;
+
+      return (
+        <CircleMarker
+          key={member.id}
+          center={[member.latitude, member.longitude]}
+          radius={isNew ? 9 : 5}
+          pathOptions={{
+            color: '#fff',
+            weight: 1,
+            fillColor: isNew ? '#F9BD2B' : '#1D4AFF',
+            fillOpacity: 0.9,
+          }}
+        >
+          <Tooltip>
+            {member.name} · joined {member.startDate}
+          </Tooltip>
+        </CircleMarker>
+      );
+    });
+}
@@ -0,0 +1,86 @@
+import { useEffect } from 'react';
+
+const STEP_MS = 250;
+
+const formatMonth = (month) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-GB', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Replay controls for team growth: a slider over every month since the
+ * first hire, with one extra step at the end for the applicant - the +1.
+ *
+ * `step` runs from 0 (first month) to months.length (the applicant).
+ */
+export default function TimelineScrubber({ months, step, onStepChange, playing, onPlayingChange, onClose, applicantName }) {
+  const lastStep = months.length;
+  const isPlusOne = step === lastStep;
+  const current = months[Math.min(step, lastStep - 1)];
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (step >= lastStep) {
+      onPlayingChange(false);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => onStepChange(step + 1), STEP_MS);
+    return () => clearTimeout(timer);
+  }, [playing, step, lastStep, onStepChange, onPlayingChange]);
+
+  if (!current) return null;
+
+  return (
+    <div className="absolute bottom-6 left-1/2 z-[1000] w-[32rem] max-w-[90vw] -translate-x-1/2 rounded-lg bg-white/95 p-3 shadow-lg">
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={() => {
+            if (isPlusOne) onStepChange(0);
+            onPlayingChange(!playing);
+          }}
+          className="h-9 w-9 shrink-0 rounded-full bg-posthog-blue font-bold text-white"
+          aria-label={playing ? 'Pause' : 'Play'}
+        >
+          {playing ? '❚❚' : '▶'}
+        </button>
+
+        <input
+          type="range"
+          min={0}
+          max={lastStep}
+          value={step}
+          onChange={(event) => {
+            onPlayingChange(false);
+            onStepChange(Number(event.target.value));
+          }}
+          className="w-full accent-posthog-blue"
+          aria-label="Timeline"
+        />
+
+        <button
+          type="button"
+          onClick={onClose}
+          className="shrink-0 text-sm text-gray-500 hover:text-gray-800"
+          aria-label="Close timeline"
+        >
+          ✕
+        </button>
+      </div>
+
+      <p className="mt-2 text-center text-sm text-gray-700">
+        {isPlusOne ? (
+          <span className="font-bold text-posthog-purple">
+            {current.total} + 1 = {current.total + 1} 🦔 {applicantName}
+          </span>
+        ) : (
+          <>
+            <span className="font-semibold">{formatMonth(current.month)}</span>
+            {' · '}
+            {current.total} teammates
+            {current.hires > 0 && <span className="text-posthog-blue"> (+{current.hires})</span>}
+          </>
+        )}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import MapLink from './MapLink';
+
+/**
+ * Teammates we couldn't place on the map (no coordinates at all), listed in
+ * a corner panel so they don't silently disappear.
+ */
+export default function UnmappedMembers({ members }) {
+  if (members.length === 0) return null;
+
+  return (
+    <div className="absolute bottom-6 left-3 z-[1000] max-h-64 w-64 overflow-y-auto rounded-lg bg-white/95 p-3 shadow-lg">
+      <h2 className="text-sm font-bold text-gray-800">
+        Not on the map ({members.length})
+      </h2>
+      <ul className="mt-2 space-y-1">
+        {members.map((member) => (
+          <li key={member.id} className="text-xs">
+            <MapLink to={`/member/${member.id}`} className="font-semibold text-gray-800 hover:text-posthog-blue">{member.name}</MapLink>
+            <span className="text-gray-500"> · {member.role}</span>
+            {member.country && <span className="text-gray-400"> ({member.country})</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -13,3 +13,65 @@ export function useApplicant() {
     },
   });
 }
+
+/**
+ * Skill overlap with each team and teammates in the applicant's countries
+ */
+export function useApplicantComparison() {
+  return useQuery({
+    queryKey: ['applicant', 'comparison'],
+    queryFn: async () => {
+      const res = await fetch(`${API_URL}/applicant/comparison`, { cache: 'no-cache' });
+      if (!res.ok) throw new Error('Failed to fetch applicant comparison');
+      const json = await res.json();
+      return json.data;
+    },
+  });
+}
+
+/**
+ * Closest teammates to each of the applicant's locations
+ */
+export function useApplicantNearest(limit = 3) {
+  return useQuery({
+    queryKey: ['applicant', 'nearest', limit],
+    queryFn: async () => {
+      const res = await fetch(`${API_URL}/applicant/nearest?limit=${limit}&fields=name,role,location`, { cache: 'no-cache' });
+      if (!res.ok) throw new Error('Failed to fetch nearest teammates');
+      const json = await res.json();
+      return json.data;
+    },
+  });
+}
+
+/**
+ * Lines from each applicant location to teammates
+ * (see GET /api/applicant/connections)
+ *
+ * @param {{ mode: string|null, limit: number, team: string, ids: number[] }} settings
+ *   From useConnectionSettings - "heat" asks for a team and styles by weight
+ */
+export function useApplicantConnections({ mode, limit, team, ids }) {
+  const params = new URLSearchParams();
+  if (mode === 'closest') params.set('limit', limit);
+  if (mode === 'team' || mode === 'heat') params.set('team', team);
+  if (mode === 'members') params.set('ids', ids.join(','));
+  params.set('mode', mode === 'heat' ? 'team' : mode);
+  const query = params.toString();
+
+  const ready =
+    mode === 'closest' ||
+    ((mode === 'team' || mode === 'heat') && team !== '') ||
+    (mode === 'members' && ids.length > 0);
+
+  return useQuery({
+    queryKey: ['applicant', 'connections', query],
+    queryFn: async () => {
+      const res = await fetch(`${API_URL}/applicant/connections?${query}`, { cache: 'no-cache' });
+      if (!res.ok) throw new Error('Failed to fetch connections');
+      const json = await res.json();
+      return json.data;
+    },
+    enabled: ready,
+  });
+}
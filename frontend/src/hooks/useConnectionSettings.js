@@ -0,0 +1,60 @@
+import { useSearchParams } from 'react-router-dom';
+
+// Ways of picking who the applicant is connected to (?lines=...)
+export const LINE_MODES = {
+  closest: 'Closest teammates',
+  team: 'A whole team',
+  heat: 'A team, by shared hours',
+  members: 'Chosen teammates',
+};
+
+const DEFAULT_LIMIT = 3;
+
+const splitIds = (value) => (value ? value.split(',').map(Number).filter(Number.isInteger) : []);
+
+/**
+ * Connection line settings, kept in the URL alongside the filters:
+ *
+ *   ?lines=closest&linesLimit=5
+ *   ?lines=heat&linesTeam=growth
+ *   ?lines=members&linesIds=27732,30173
+ */
+export function useConnectionSettings() {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const mode = LINE_MODES[searchParams.get('lines')] ? searchParams.get('lines') : null;
+  const settings = {
+    mode,
+    limit: Number(searchParams.get('linesLimit')) || DEFAULT_LIMIT,
+    team: searchParams.get('linesTeam') || '',
+    ids: splitIds(searchParams.get('linesIds')),
+  };
+
+  /**
+   * Change some settings; null or empty values are removed from the URL
+   *
+   * @param {{ mode?: string|null, limit?: number, team?: string, ids?: number[] }} changes
+   */
+  const update = (changes) =>
+    setSearchParams((params) => {
+      const names = { mode: 'lines', limit: 'linesLimit', team: 'linesTeam', ids: 'linesIds' };
+      Object.entries(changes).forEach(([key, value]) => {
+        const serialized = Array.isArray(value) ? value.join(',') : value;
+        if (serialized == null || serialized === '') params.delete(names[key]);
+        else params.set(names[key], String(serialized));
+      });
+      return params;
+    }, { replace: true });
+
+  /**
+   * Add or remove one teammate from the chosen ones (switching to that mode)
+   */
+  const toggleMember = (id) => {
+    const chosen = settings.mode === 'members' && settings.ids.includes(id);
+    const others = settings.ids.filter((other) => other !== id);
+    const ids = chosen ? others : [...others, id];
+    update({ mode: ids.length > 0 ? 'members' : null, ids });
+  };
+
+  return { settings, update, toggleMember };
+}
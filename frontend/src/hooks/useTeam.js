@@ -1,24 +1,52 @@
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
-export function useTeam() {
+// The API reloads team.json when the pipeline rewrites it. Requests use
+// `cache: 'no-cache'` so the browser revalidates with the ETag it already
+// holds - an unchanged team costs a bodyless 304, not the whole payload.
+const REVALIDATE_INTERVAL = 1000 * 60; // 1 minute
+
+/**
+ * Build the /team querystring, skipping empty values
+ * (see GET /api/team for filters, search, sort, fields and paging)
+ */
+function toSearchParams(params) {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value == null || value === '') return;
+    search.set(key, Array.isArray(value) ? value.join(',') : String(value));
+  });
+  return search.toString();
+}
+
+/**
+ * @param {object} [params] - /team querystring
+ * @param {object} [options] - Extra useQuery options (e.g. placeholderData)
+ */
+export function useTeam(params = {}, options = {}) {
+  const query = toSearchParams(params);
+
   return useQuery({
-    queryKey: ['team'],
+    ...options,
+    queryKey: ['team', 'list', query],
     queryFn: async () => {
-      const res = await fetch(`${API_URL}/team`);
+      const res = await fetch(`${API_URL}/team${query ? `?${query}` : ''}`, { cache: 'no-cache' });
       if (!res.ok) throw new Error('Failed to fetch team data');
       const json = await res.json();
       return json.data;
     },
+    staleTime: REVALIDATE_INTERVAL,
+    refetchInterval: REVALIDATE_INTERVAL,
+    refetchOnWindowFocus: true,
   });
 }
 
 export function useTeamMember(id) {
   return useQuery({
-    queryKey: ['team', id],
+    queryKey: ['team', 'member', id],
     queryFn: async () => {
-      const res = await fetch(`${API_URL}/team/${id}`);
+      const res = await fetch(`${API_URL}/team/${id}`, { cache: 'no-cache' });
       if (!res.ok) throw new Error('Failed to fetch team member');
       const json = await res.json();
       return json.data;
@@ -26,3 +54,36 @@ export function useTeamMember(id) {
     enabled: !!id,
   });
 }
+
+// What the team panel lists, plus coordinates to fit the map to the team
+const TEAM_PANEL_FIELDS = [
+  'name', 'role', 'country', 'latitude', 'longitude', 'hidden', 'teams', 'leadTeams',
+];
+
+/**
+ * Everyone in one team, by team slug
+ */
+export function useTeamBySlug(slug) {
+  return useTeam({ team: slug, fields: TEAM_PANEL_FIELDS, sort: 'name' });
+}
+
+/**
+ * Filter panel counts for a set of filters (see GET /api/team/facets)
+ *
+ * @param {object} params - Filter parameters (see lib/mapFilters filterParams)
+ */
+export function useTeamFacets(params) {
+  const query = toSearchParams(params);
+
+  return useQuery({
+    queryKey: ['team', 'facets', query],
+    queryFn: async () => {
+      const res = await fetch(`${API_URL}/team/facets${query ? `?${query}` : ''}`, { cache: 'no-cache' });
+      if (!res.ok) throw new Error('Failed to fetch filter counts');
+      const json = await res.json();
+      return json.data;
+    },
+    // Keep the old counts on screen while the new ones load
+    placeholderData: keepPreviousData,
+  });
+}
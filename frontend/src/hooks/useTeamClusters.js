@@ -0,0 +1,57 @@
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+// Round the viewport so small pans reuse the cached response
+const roundBbox = (bbox) => bbox.map((value) => Math.round(value * 100) / 100).join(',');
+
+/**
+ * Marker clusters for the visible map area, computed by the API
+ *
+ * @param {object} view
+ * @param {number} view.zoom - Map zoom level
+ * @param {number[]} view.bbox - [west, south, east, north]
+ * @param {object} [filters] - Filter parameters (see lib/mapFilters filterParams)
+ */
+export function useTeamClusters({ zoom, bbox }, filters = {}) {
+  const bboxParam = bbox ? roundBbox(bbox) : null;
+  const filterQuery = new URLSearchParams(filters).toString();
+
+  return useQuery({
+    queryKey: ['team', 'clusters', zoom, bboxParam, filterQuery],
+    queryFn: async () => {
+      const res = await fetch(
+        `${API_URL}/team/clusters?zoom=${zoom}&bbox=${bboxParam}${filterQuery ? `&${filterQuery}` : ''}`,
+        { cache: 'no-cache' }
+      );
+      if (!res.ok) throw new Error('Failed to fetch team clusters');
+      const json = await res.json();
+      return json.data.results;
+    },
+    enabled: zoom != null && bboxParam != null,
+    // Keep the old bubbles on screen while the new viewport loads
+    placeholderData: keepPreviousData,
+  });
+}
+
+/**
+ * Members of a cluster that can't be split by zooming in (cluster ids
+ * depend on the filters, so pass the ones the cluster came from)
+ */
+export function useClusterMembers(clusterId, filters = {}) {
+  const filterQuery = new URLSearchParams(filters).toString();
+
+  return useQuery({
+    queryKey: ['team', 'clusters', 'members', clusterId, filterQuery],
+    queryFn: async () => {
+      const res = await fetch(
+        `${API_URL}/team/clusters/${clusterId}/members${filterQuery ? `?${filterQuery}` : ''}`,
+        { cache: 'no-cache' }
+      );
+      if (!res.ok) throw new Error('Failed to fetch cluster members');
+      const json = await res.json();
+      return json.data.results;
+    },
+    enabled: clusterId != null,
+  });
+}
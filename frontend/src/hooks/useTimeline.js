@@ -0,0 +1,21 @@
+import { useQuery } from '@tanstack/react-query';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Hires per month from the team's start dates
+ *
+ * @param {object} [options]
+ * @param {'country'|'team'} [options.groupBy] - Also break each month down
+ */
+export function useTimeline({ groupBy } = {}) {
+  return useQuery({
+    queryKey: ['timeline', groupBy ?? null],
+    queryFn: async () => {
+      const res = await fetch(`${API_URL}/timeline${groupBy ? `?groupBy=${groupBy}` : ''}`, { cache: 'no-cache' });
+      if (!res.ok) throw new Error('Failed to fetch team timeline');
+      const json = await res.json();
+      return json.data;
+    },
+  });
+}
@@ -0,0 +1,44 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Hire / Don't Hire tally so far
+ */
+export function useVoteSummary() {
+  return useQuery({
+    queryKey: ['votes', 'summary'],
+    queryFn: async () => {
+      const res = await fetch(`${API_URL}/votes/summary`);
+      if (!res.ok) throw new Error('Failed to fetch votes');
+      const json = await res.json();
+      return json.data;
+    },
+  });
+}
+
+/**
+ * Cast a vote: mutate({ choice: 'hire' | 'dont-hire', dontHireAttempts })
+ *
+ * The response carries the new tally, so the summary query is updated
+ * without another request.
+ */
+export function useCastVote() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (vote) => {
+      const res = await fetch(`${API_URL}/votes`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(vote),
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || 'Failed to record vote');
+      return json.data;
+    },
+    onSuccess: (data) => {
+      queryClient.setQueryData(['votes', 'summary'], data.summary);
+    },
+  });
+}
@@ -0,0 +1,139 @@
+import posthog from 'posthog-js';
+
+/**
+ * Product analytics for the cover letter
+ *
+ * Every event goes through one of the `track*` functions below, so event
+ * names and properties stay consistent. Events are sent to PostHog when
+ * VITE_POSTHOG_KEY holds a project key (phc_...) and logged to the console
+ * in development (or with VITE_ANALYTICS_CONSOLE=true); with neither, every
+ * call is a no-op.
+ */
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+const POSTHOG_KEY = import.meta.env.VITE_POSTHOG_KEY;
+// Events go through our own API (/api/ingest), which forwards them upstream
+const POSTHOG_HOST = import.meta.env.VITE_POSTHOG_HOST || `${API_URL}/ingest`;
+const POSTHOG_UI_HOST = import.meta.env.VITE_POSTHOG_UI_HOST || 'https://us.posthog.com';
+const CONSOLE_ENABLED = import.meta.env.DEV || import.meta.env.VITE_ANALYTICS_CONSOLE === 'true';
+
+export const EVENTS = {
+  MARKER_OPENED: 'marker_opened',
+  MEMBER_VIEWED: 'member_viewed',
+  FILTER_CHANGED: 'filter_changed',
+  MAP_MODE_CHANGED: 'map_mode_changed',
+  HIRE_VOTE: 'hire_vote',
+  APPLICANT_SECTION_VIEWED: 'applicant_section_viewed',
+};
+
+const transports = [];
+
+const posthogTransport = {
+  name: 'posthog',
+  capture: (event, properties) => posthog.capture(event, properties),
+};
+
+const consoleTransport = {
+  name: 'console',
+  capture: (event, properties) => console.debug(`📈 ${event}`, properties),
+};
+
+/**
+ * Set up the configured transports - call once, before rendering
+ */
+export function initAnalytics() {
+  if (transports.length > 0) return;
+
+  // The .env.example placeholder isn't a key
+  if (POSTHOG_KEY?.startsWith('phc_')) {
+    posthog.init(POSTHOG_KEY, {
+      api_host: POSTHOG_HOST,
+      // Links in the toolbar etc. still point at PostHog itself
+      ui_host: POSTHOG_UI_HOST,
+      person_profiles: 'identified_only',
+      // Client-side routing: count /member/:id etc. as page views
+      capture_pageview: 'history_change',
+      capture_pageleave: true,
+    });
+    transports.push(posthogTransport);
+  }
+
+  if (CONSOLE_ENABLED) transports.push(consoleTransport);
+}
+
+function capture(event, properties) {
+  transports.forEach((transport) => transport.capture(event, properties));
+}
+
+/**
+ * Properties identifying a team member on any event
+ *
+ * @param {{ id: number, country?: string, teams?: { slug?: string, name: string }[] }} member
+ */
+function memberProperties(member) {
+  return {
+    member_id: member.id,
+    member_country: member.country ?? null,
+    member_teams: member.teams?.map((team) => team.slug || team.name) ?? [],
+  };
+}
+
+/**
+ * A map marker's popup (or a cluster) was opened
+ *
+ * @param {{ kind: 'member', member: object } | { kind: 'cluster', count: number } | { kind: 'applicant', city: string }} marker
+ */
+export function trackMarkerOpened(marker) {
+  if (marker.kind === 'member') {
+    capture(EVENTS.MARKER_OPENED, { marker_kind: 'member', ...memberProperties(marker.member) });
+  } else if (marker.kind === 'cluster') {
+    capture(EVENTS.MARKER_OPENED, { marker_kind: 'cluster', cluster_size: marker.count });
+  } else {
+    capture(EVENTS.MARKER_OPENED, { marker_kind: 'applicant', applicant_city: marker.city });
+  }
+}
+
+/**
+ * A member's detail panel was shown
+ *
+ * @param {object} member - team.json member
+ */
+export function trackMemberViewed(member) {
+  capture(EVENTS.MEMBER_VIEWED, memberProperties(member));
+}
+
+/**
+ * A map filter changed
+ *
+ * @param {{ filter: string, value: unknown, resultCount?: number }} change
+ */
+export function trackFilterChanged({ filter, value, resultCount }) {
+  capture(EVENTS.FILTER_CHANGED, { filter, value, result_count: resultCount ?? null });
+}
+
+/**
+ * The map switched between pins, heatmap and choropleth
+ *
+ * @param {string} mode - Key of MAP_MODES (lib/mapModes)
+ */
+export function trackMapModeChanged(mode) {
+  capture(EVENTS.MAP_MODE_CHANGED, { mode });
+}
+
+/**
+ * Hire or Don't Hire was clicked
+ *
+ * @param {{ choice: 'hire' | 'dont-hire', dontHireAttempts: number }} vote
+ */
+export function trackHireVote({ choice, dontHireAttempts }) {
+  capture(EVENTS.HIRE_VOTE, { choice, dont_hire_attempts: dontHireAttempts });
+}
+
+/**
+ * A section of the applicant panel scrolled into view
+ *
+ * @param {string} section - Section id, e.g. "tech-stack"
+ */
+export function trackApplicantSectionViewed(section) {
+  capture(EVENTS.APPLICANT_SECTION_VIEWED, { section });
+}
@@ -0,0 +1,15 @@
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+// Variants the API renders (backend/src/services/avatars.js)
+export const AVATAR_SIZES = [48, 96, 192];
+
+/**
+ * Self-hosted avatar for a team member or the applicant - the API falls
+ * back to an initials placeholder, so this always resolves to an image
+ *
+ * @param {number|string} id - Team member id or applicant id
+ * @param {{ size?: number, shape?: 'square' | 'circle' }} [options]
+ */
+export function avatarUrl(id, { size = 96, shape = 'square' } = {}) {
+  return `${API_URL}/avatars/${encodeURIComponent(id)}?size=${size}&shape=${shape}`;
+}
@@ -0,0 +1,33 @@
+/**
+ * How connection lines and their labels look
+ */
+
+export const APPLICANT_LINE_COLOR = '#B62AD9';
+
+/**
+ * Line colour for a share of the working day spent overlapping (0-1):
+ * blue for none through to PostHog red for all of it
+ */
+export function heatColor(weight) {
+  const hue = Math.round(225 - 210 * Math.min(Math.max(weight, 0), 1));
+  return `hsl(${hue} 85% 50%)`;
+}
+
+/**
+ * 1615.3 -> "1,615 km"
+ */
+export const formatDistance = (km) =>
+  km < 10 ? `${km.toFixed(1)} km` : `${Math.round(km).toLocaleString('en-GB')} km`;
+
+/**
+ * Clock difference in minutes -> "same time", "+5h", "-1h30"
+ */
+export function formatOffset(minutes) {
+  if (minutes == null) return 'time zone unknown';
+  if (minutes === 0) return 'same time';
+
+  const sign = minutes > 0 ? '+' : '-';
+  const abs = Math.abs(minutes);
+  const rest = abs % 60;
+  return `${sign}${Math.floor(abs / 60)}h${rest ? String(rest).padStart(2, '0') : ''}`;
+}
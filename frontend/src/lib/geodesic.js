@@ -0,0 +1,52 @@
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Points along the great circle between two [lat, lng] positions, for
+ * drawing as a Leaflet polyline
+ *
+ * Longitudes are kept continuous (they may run past ±180) so a route over
+ * the Pacific is drawn as one short arc instead of wrapping the world.
+ *
+ * @param {[number, number]} from
+ * @param {[number, number]} to
+ * @param {number} [segments] - Straight pieces to approximate the arc with
+ * @returns {[number, number][]}
+ */
+export function greatCirclePoints(from, to, segments = 64) {
+  const [lat1, lng1] = from.map(toRadians);
+  const [lat2, lng2] = to.map(toRadians);
+
+  // Angular distance (haversine)
+  const distance = 2 * Math.asin(Math.sqrt(
+    Math.sin((lat2 - lat1) / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2
+  ));
+
+  // Same place, or exactly opposite sides of the globe (no single route)
+  if (distance < 1e-9 || Math.abs(Math.sin(distance)) < 1e-9) return [from, to];
+
+  const points = [];
+  let previousLng = null;
+
+  for (let i = 0; i <= segments; i++) {
+    const fraction = i / segments;
+    const a = Math.sin((1 - fraction) * distance) / Math.sin(distance);
+    const b = Math.sin(fraction * distance) / Math.sin(distance);
+
+    const x = a * Math.cos(lat1) * Math.cos(lng1) + b * Math.cos(lat2) * Math.cos(lng2);
+    const y = a * Math.cos(lat1) * Math.sin(lng1) + b * Math.cos(lat2) * Math.sin(lng2);
+    const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+    const lat = toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)));
+    let lng = toDegrees(Math.atan2(y, x));
+    if (previousLng != null) {
+      while (lng - previousLng > 180) lng -= 360;
+      while (lng - previousLng < -180) lng += 360;
+    }
+    previousLng = lng;
+    points.push([lat, lng]);
+  }
+
+  return points;
+}
@@ -0,0 +1,68 @@
+/**
+ * Map filters <-> URL query string
+ *
+ * Filters live in the URL under the same names the API uses (team,
+ * country, tenure, lead, name), so a filtered view can be shared as a link
+ * and passed straight on to /team, /team/clusters and /team/facets.
+ */
+
+// Labels for the API's tenure ranges (backend TENURE_RANGES)
+export const TENURE_LABELS = {
+  'under-1': '< 1 year',
+  '1-2': '1-2 years',
+  '2-4': '2-4 years',
+  'over-4': '4+ years',
+};
+
+const splitList = (value) => (value ? value.split(',').filter(Boolean) : []);
+
+/**
+ * Read the filters from the URL
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {{ team: string[], country: string[], tenure: string[], lead: boolean, name: string }}
+ */
+export function readFilters(searchParams) {
+  return {
+    team: splitList(searchParams.get('team')),
+    country: splitList(searchParams.get('country')),
+    tenure: splitList(searchParams.get('tenure')).filter((range) => TENURE_LABELS[range]),
+    lead: searchParams.get('lead') === 'true',
+    name: searchParams.get('name') || '',
+  };
+}
+
+/**
+ * Write one filter into the URL, dropping it when it's empty
+ *
+ * @param {URLSearchParams} searchParams - Updated in place
+ * @param {string} key - Filter name
+ * @param {string[]|boolean|string} value
+ */
+export function writeFilter(searchParams, key, value) {
+  const serialized = Array.isArray(value) ? value.join(',') : value === true ? 'true' : value || '';
+  if (serialized) searchParams.set(key, serialized);
+  else searchParams.delete(key);
+  return searchParams;
+}
+
+/**
+ * API parameters for the filters - only the ones that are set
+ */
+export function filterParams(filters) {
+  const params = {};
+  if (filters.team.length > 0) params.team = filters.team.join(',');
+  if (filters.country.length > 0) params.country = filters.country.join(',');
+  if (filters.tenure.length > 0) params.tenure = filters.tenure.join(',');
+  if (filters.lead) params.lead = 'true';
+  if (filters.name.trim()) params.name = filters.name.trim();
+  return params;
+}
+
+/**
+ * How many filters are set (the search counts as one)
+ */
+export function countFilters(filters) {
+  return filters.team.length + filters.country.length + filters.tenure.length +
+    (filters.lead ? 1 : 0) + (filters.name.trim() ? 1 : 0);
+}
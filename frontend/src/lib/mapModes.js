@@ -0,0 +1,62 @@
+/**
+ * Ways of drawing the team on the map (?mode=...) and how the density
+ * modes look
+ */
+
+export const MAP_MODES = {
+  pins: 'Pins',
+  heatmap: 'Density',
+  choropleth: 'Countries',
+};
+export const DEFAULT_MAP_MODE = 'pins';
+
+// Blue through PostHog yellow to red, as teammates pile up
+export const HEAT_GRADIENT = {
+  0.2: '#2f80fa',
+  0.45: '#29a8a8',
+  0.65: '#f7a501',
+  0.85: '#eb9d2a',
+  1: '#f54e00',
+};
+
+// Lower bound of each choropleth band, with its fill
+export const HEADCOUNT_STEPS = [
+  { min: 1, color: '#fde9b8' },
+  { min: 2, color: '#fbcf6b' },
+  { min: 5, color: '#f7a501' },
+  { min: 10, color: '#eb6f1a' },
+  { min: 20, color: '#d23f00' },
+  { min: 40, color: '#8f2a00' },
+];
+
+/**
+ * Fill for a country with `count` teammates (null for none)
+ */
+export function headcountColor(count) {
+  if (!count) return null;
+  return HEADCOUNT_STEPS.findLast((step) => count >= step.min).color;
+}
+
+/**
+ * "1", "2-4", ..., "40+" for each band
+ */
+export function headcountLabel(index) {
+  const { min } = HEADCOUNT_STEPS[index];
+  const next = HEADCOUNT_STEPS[index + 1];
+  if (!next) return `${min}+`;
+  return next.min - 1 === min ? String(min) : `${min}-${next.min - 1}`;
+}
+
+/**
+ * Teammates per country code, for the choropleth
+ *
+ * @param {{ country?: string }[]} members
+ * @returns {Map<string, number>}
+ */
+export function countByCountry(members) {
+  const counts = new Map();
+  members.forEach(({ country }) => {
+    if (country && /^[A-Z]{2}$/.test(country)) counts.set(country, (counts.get(country) || 0) + 1);
+  });
+  return counts;
+}
@@ -0,0 +1,119 @@
+import { divIcon } from 'leaflet';
+import { avatarUrl } from './avatars';
+
+/**
+ * Map marker icons
+ *
+ * Every marker is a divIcon around the person's self-hosted avatar, ringed
+ * in a colour chosen by the active scheme. Icons are cached, so re-renders
+ * hand Leaflet the same object and markers aren't redrawn.
+ */
+
+// Named colours from team.json / applicant.json (backend/src/services/avatars.js)
+export const MEMBER_COLORS = {
+  blue: '#2f80fa',
+  'sky-blue': '#4db8e8',
+  teal: '#29a8a8',
+  seagreen: '#30a46c',
+  green: '#6aa84f',
+  'lime-green': '#a3d65c',
+  yellow: '#f7a501',
+  orange: '#eb9d2a',
+  salmon: '#f9a88a',
+  red: '#f54e00',
+  lilac: '#b8a1e8',
+  purple: '#b62ad9',
+};
+const FALLBACK_COLOR = '#9ea3ae';
+const APPLICANT_COLOR = '#B62AD9';
+
+export const COLOR_SCHEMES = {
+  member: 'Personal colour',
+  team: 'Team',
+};
+export const DEFAULT_COLOR_SCHEME = 'member';
+
+/**
+ * A distinct colour for every team, stable for a given set of team names
+ *
+ * Hues are spread by the golden angle, so neighbours in the (alphabetical)
+ * list never look alike however many teams there are.
+ *
+ * @param {string[]} teamNames
+ * @returns {Map<string, string>} Team name -> CSS colour
+ */
+export function teamPalette(teamNames) {
+  const names = [...new Set(teamNames)].sort((a, b) => a.localeCompare(b));
+  return new Map(names.map((name, i) => [name, `hsl(${Math.round((i * 137.508) % 360)} 65% 48%)`]));
+}
+
+/**
+ * Ring colour of a member's marker
+ *
+ * @param {{ color?: string, teams?: { name: string }[] }} member
+ * @param {{ scheme?: string, palette?: Map<string, string> }} [options]
+ */
+export function markerColor(member, { scheme = DEFAULT_COLOR_SCHEME, palette } = {}) {
+  if (scheme === 'team') return palette?.get(member.teams?.[0]?.name) ?? FALLBACK_COLOR;
+  return MEMBER_COLORS[member.color] ?? FALLBACK_COLOR;
+}
+
+const icons = new Map();
+
+function cached(key, build) {
+  if (!icons.has(key)) icons.set(key, build());
+  return icons.get(key);
+}
+
+/**
+ * Round avatar with a pointer underneath
+ *
+ * @param {{ id: number }} member
+ * @param {string} color - Ring colour (see markerColor)
+ */
+export function memberIcon(member, color) {
+  return cached(`member:${member.id}:${color}`, () =>
+    divIcon({
+      html: `<div class="relative h-10 w-10">
+        <img src="${avatarUrl(member.id, { size: 96, shape: 'circle' })}" alt="" loading="lazy"
+          class="h-10 w-10 rounded-full border-[3px] bg-white object-cover shadow-md" style="border-color: ${color}" />
+        <div class="absolute left-1/2 top-full -mt-px h-0 w-0 -translate-x-1/2 border-x-[6px] border-t-[8px] border-x-transparent" style="border-top-color: ${color}"></div>
+      </div>`,
+      className: '',
+      iconSize: [40, 48],
+      iconAnchor: [20, 48],
+      popupAnchor: [0, -44],
+    })
+  );
+}
+
+/**
+ * The applicant's avatar: a large, pulsing pin for the primary location and
+ * a smaller, slowly fading one for the secondary
+ *
+ * @param {{ id: string }} applicant
+ * @param {{ isPrimary?: boolean, flag?: string }} location
+ */
+export function applicantIcon(applicant, location) {
+  const size = location.isPrimary ? 56 : 40;
+
+  return cached(`applicant:${applicant.id}:${location.isPrimary ? 'primary' : 'secondary'}:${location.flag ?? ''}`, () => {
+    const halo = location.isPrimary
+      ? `<span class="absolute inset-0 rounded-full bg-posthog-purple opacity-60 motion-safe:animate-ping"></span>`
+      : `<span class="absolute -inset-1 rounded-full border-2 border-dashed border-posthog-purple motion-safe:animate-pulse"></span>`;
+    const border = location.isPrimary ? 'border-4' : 'border-[3px] opacity-90';
+
+    return divIcon({
+      html: `<div class="relative" style="width: ${size}px; height: ${size}px">
+        ${halo}
+        <img src="${avatarUrl(applicant.id, { size: 192, shape: 'circle' })}" alt=""
+          class="relative h-full w-full rounded-full ${border} bg-white object-cover shadow-lg" style="border-color: ${APPLICANT_COLOR}" />
+        ${location.flag ? `<span class="absolute -bottom-1 -right-1 text-base leading-none">${location.flag}</span>` : ''}
+      </div>`,
+      className: '',
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+      popupAnchor: [0, -size / 2],
+    });
+  });
+}